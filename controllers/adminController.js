@@ -0,0 +1,222 @@
+import User from "../models/user.js";
+import UserToken from "../models/userToken.js";
+import AuditLog from "../models/auditLog.js";
+import mongoose from "mongoose";
+import { revokeAllSessions } from "../util/tokens.js";
+import { sendPasswordResetEmail } from "../util/mailer.js";
+import { recordAudit } from "../util/audit.js";
+
+const FORCED_RESET_TTL_MINUTES = 24 * 60;
+
+// Load the target user, refusing actions on unknown users and on oneself
+async function findTargetUser(req, res) {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ message: "Invalid user ID format" });
+    return null;
+  }
+
+  if (req.user._id.toString() === id) {
+    res.status(400).json({ message: "You cannot perform this action on your own account" });
+    return null;
+  }
+
+  const user = await User.findById(id);
+  if (!user) {
+    res.status(404).json({ message: "User not found" });
+    return null;
+  }
+
+  return user;
+}
+
+function presentStatus(user) {
+  return {
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    status: user.status,
+    suspendedUntil: user.suspendedUntil,
+    statusReason: user.statusReason
+  };
+}
+
+// ✅ Suspend a user, for a period (?until= or durationHours) or indefinitely
+export async function suspendUser(req, res) {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const { until, durationHours, reason } = req.body;
+
+    let suspendedUntil = null;
+    if (until) {
+      suspendedUntil = new Date(until);
+    } else if (durationHours) {
+      suspendedUntil = new Date(Date.now() + Number(durationHours) * 60 * 60 * 1000);
+    }
+    if (suspendedUntil && (isNaN(suspendedUntil) || suspendedUntil <= new Date())) {
+      return res.status(400).json({ message: "Suspension end must be a valid date in the future" });
+    }
+
+    user.status = "suspended";
+    user.suspendedUntil = suspendedUntil;
+    user.statusReason = reason || null;
+    await user.save();
+    await revokeAllSessions(user, "account-restricted");
+
+    await recordAudit(req, "user.suspend", {
+      targetId: user._id,
+      details: { until: suspendedUntil, reason: reason || null }
+    });
+
+    res.status(200).json({
+      message: "User suspended",
+      user: presentStatus(user)
+    });
+  } catch (err) {
+    res.status(500).json({ message: "Error suspending user", error: err.message });
+  }
+}
+
+// ✅ Ban a user permanently
+export async function banUser(req, res) {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const { reason } = req.body;
+
+    user.status = "banned";
+    user.suspendedUntil = null;
+    user.statusReason = reason || null;
+    await user.save();
+    await revokeAllSessions(user, "account-restricted");
+
+    await recordAudit(req, "user.ban", {
+      targetId: user._id,
+      details: { reason: reason || null }
+    });
+
+    res.status(200).json({
+      message: "User banned",
+      user: presentStatus(user)
+    });
+  } catch (err) {
+    res.status(500).json({ message: "Error banning user", error: err.message });
+  }
+}
+
+// ✅ Lift a suspension or ban
+export async function reinstateUser(req, res) {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const previousStatus = user.status;
+    user.status = "active";
+    user.suspendedUntil = null;
+    user.statusReason = null;
+    await user.save();
+
+    await recordAudit(req, "user.reinstate", {
+      targetId: user._id,
+      details: { previousStatus }
+    });
+
+    res.status(200).json({
+      message: "User reinstated",
+      user: presentStatus(user)
+    });
+  } catch (err) {
+    res.status(500).json({ message: "Error reinstating user", error: err.message });
+  }
+}
+
+// ✅ Force a password reset: sessions end and login is refused until the
+// user sets a new password through the emailed link
+export async function forcePasswordReset(req, res) {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    user.mustResetPassword = true;
+    await user.save();
+    await revokeAllSessions(user, "forced-reset");
+
+    const token = await UserToken.issue(user._id, "password-reset", FORCED_RESET_TTL_MINUTES);
+    let emailSent = true;
+    try {
+      await sendPasswordResetEmail(user, token, FORCED_RESET_TTL_MINUTES);
+    } catch (err) {
+      emailSent = false;
+      console.error("❌ Could not send password reset email:", err.message);
+    }
+
+    await recordAudit(req, "user.force-password-reset", {
+      targetId: user._id,
+      details: { emailSent }
+    });
+
+    res.status(200).json({
+      message: emailSent
+        ? "Password reset required, the user has been emailed a reset link"
+        : "Password reset required, but the reset email could not be sent",
+      emailSent
+    });
+  } catch (err) {
+    res.status(500).json({ message: "Error forcing password reset", error: err.message });
+  }
+}
+
+// ✅ Read the audit log (?action=, ?actorId=, ?targetId=, ?from=&to=)
+export async function getAuditLog(req, res) {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+
+    if (req.query.action) {
+      filter.action = req.query.action;
+    }
+
+    for (const key of ["actorId", "targetId"]) {
+      if (req.query[key]) {
+        if (!mongoose.Types.ObjectId.isValid(req.query[key])) {
+          return res.status(400).json({ message: `Invalid ${key} format` });
+        }
+        filter[key] = req.query[key];
+      }
+    }
+
+    if (req.query.from || req.query.to) {
+      filter.createdAt = {};
+      if (req.query.from) filter.createdAt.$gte = new Date(req.query.from);
+      if (req.query.to) filter.createdAt.$lte = new Date(req.query.to);
+      if (Object.values(filter.createdAt).some(date => isNaN(date))) {
+        return res.status(400).json({ message: "Invalid date in 'from' or 'to'" });
+      }
+    }
+
+    const entries = await AuditLog.find(filter)
+      .populate("actorId", "name email role")
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalEntries = await AuditLog.countDocuments(filter);
+
+    res.status(200).json({
+      currentPage: page,
+      totalPages: Math.ceil(totalEntries / limit),
+      totalEntries,
+      entriesPerPage: limit,
+      entries
+    });
+  } catch (err) {
+    res.status(500).json({ message: "Error fetching audit log", error: err.message });
+  }
+}
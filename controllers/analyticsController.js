@@ -0,0 +1,69 @@
+import Article from "../models/articles.js";
+import mongoose from "mongoose";
+import { hasPermission } from "../util/permissions.js";
+import { analyticsRange, summarizeStats } from "../util/analytics.js";
+
+const MAX_DAYS = 365;
+
+// ?days= (default 30, at most a year)
+function rangeFrom(query) {
+  const days = Math.min(Math.max(parseInt(query.days) || 30, 1), MAX_DAYS);
+  return analyticsRange(days);
+}
+
+// ✅ Dashboard for the current author: all of their articles (?days=)
+export async function getMyAnalytics(req, res) {
+  try {
+    const [summary, lifetime] = await Promise.all([
+      summarizeStats({ authorId: req.user._id }, rangeFrom(req.query), { topArticles: 10 }),
+      Article.aggregate([
+        { $match: { authorId: req.user._id } },
+        {
+          $group: {
+            _id: null,
+            articles: { $sum: 1 },
+            views: { $sum: "$views" },
+            likes: { $sum: "$likes" },
+            comments: { $sum: "$commentCount" }
+          }
+        }
+      ])
+    ]);
+
+    const { _id, ...totals } = lifetime[0] || { articles: 0, views: 0, likes: 0, comments: 0 };
+    res.status(200).json({ lifetime: totals, ...summary });
+  } catch (err) {
+    res.status(500).json({ message: "Error fetching analytics", error: err.message });
+  }
+}
+
+// ✅ Analytics for one article (its author, editors and admins) (?days=)
+export async function getArticleAnalytics(req, res) {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid article ID format" });
+    }
+
+    const article = await Article.findById(id).select("authorId title slug views likes commentCount");
+    if (!article) {
+      return res.status(404).json({ message: "Article not found" });
+    }
+
+    const isAuthor = article.authorId.toString() === req.user._id.toString();
+    if (!isAuthor && !hasPermission(req.user, "analytics:read-any")) {
+      return res.status(403).json({ message: "Not authorized to view analytics for this article" });
+    }
+
+    const summary = await summarizeStats({ articleId: article._id }, rangeFrom(req.query));
+
+    res.status(200).json({
+      article: { id: article._id, title: article.title, slug: article.slug },
+      lifetime: { views: article.views, likes: article.likes, comments: article.commentCount },
+      ...summary
+    });
+  } catch (err) {
+    res.status(500).json({ message: "Error fetching analytics", error: err.message });
+  }
+}
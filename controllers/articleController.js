@@ -1,21 +1,93 @@
 import Article from "../models/articles.js";
+import Category from "../models/category.js";
+import Revision from "../models/revision.js";
+import Comment from "../models/comment.js";
+import Bookmark from "../models/bookmark.js";
+import ArticleView from "../models/articleView.js";
+import ReadingList from "../models/readingList.js";
+import { cleanTagList } from "../models/tag.js";
 import mongoose from "mongoose";
-import { cloudinary } from "../util/cloudinary.js";
-import fs from "fs";
-import path from "path"
+import { paginate } from "../util/pagination.js";
+import { hasPermission } from "../util/permissions.js";
+import { removeTempFile } from "../util/storage.js";
+import { storeImage, removeImage } from "../util/images.js";
+import { loadLibraryItems, parseMediaIds } from "./mediaController.js";
+import { notify } from "../util/notifications.js";
+import { recordView, recordActivity, visitorKey } from "../util/analytics.js";
+import { relatedCandidates, invalidateRelated } from "../util/related.js";
+import { TRENDING_WINDOWS, DEFAULT_TRENDING_WINDOW, trendingSortKey } from "../util/trending.js";
+import { markFeedsChanged } from "../util/feeds.js";
+
+// What a reader needs to render library images used in the body
+const INLINE_MEDIA_FIELDS = 'url width height alt caption placeholder variants';
+
+// Uploaded banners belong to the article; library banners to their media item
+async function releaseBanner(image) {
+  if (image && !image.mediaId) await removeImage(image);
+}
+
+// Shape a paginate() result: page mode keeps the original response fields,
+// cursor mode returns nextCursor/prevCursor instead of page counts
+function listingResponse(result) {
+  if (result.mode === "page") {
+    return {
+      currentPage: result.currentPage,
+      totalPages: result.totalPages,
+      totalArticles: result.total,
+      articlesPerPage: result.limit,
+      nextCursor: result.nextCursor,
+      articles: result.items,
+    };
+  }
+  return {
+    articlesPerPage: result.limit,
+    nextCursor: result.nextCursor,
+    prevCursor: result.prevCursor,
+    articles: result.items,
+  };
+}
+
+// Add isBookmarked for the current user (always false for guests)
+async function withBookmarkFlags(articles, user) {
+  const bookmarked = user
+    ? await Bookmark.bookmarkedIds(user._id, articles.map(article => article._id))
+    : new Set();
+  return articles.map(article => ({
+    ...article.toJSON(),
+    isBookmarked: bookmarked.has(article._id.toString())
+  }));
+}
+
+const TRENDING_WINDOW_MESSAGE = `Window must be one of: ${Object.keys(TRENDING_WINDOWS).join(", ")}`;
+
+// Read page/limit/cursor options shared by the article listings.
+// sort=trending uses ?window= (24h by default).
+function listingOptions(query) {
+  return {
+    sortKey: query.sort === 'trending' ? trendingSortKey(query.window) : query.sort,
+    page: parseInt(query.page) || 1,
+    limit: Math.min(parseInt(query.limit) || 10, 100),
+    after: query.after,
+    before: query.before,
+    cursor: query.paginate === 'cursor'
+  };
+}
+
 // Get all articles (with pagination, filtering, and sorting)
+// Sorts: newest (default), oldest, popular, likes, title, trending (&window=).
+// Use ?page= for page numbers or ?after=/?before= with the returned cursors.
 export async function getAllArticles(req, res) {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
-    
+    if (req.query.sort === 'trending' && !trendingSortKey(req.query.window)) {
+      return res.status(400).json({ message: TRENDING_WINDOW_MESSAGE });
+    }
+
     // Build filter object
     const filter = {};
     
     // Filter by category
     if (req.query.category) {
-      filter.category = req.query.category;
+      filter.category = await Category.resolveName(req.query.category);
     }
     
     // Filter by tags
@@ -23,67 +95,44 @@ export async function getAllArticles(req, res) {
       filter.tags = { $in: req.query.tags.split(',') };
     }
     
-    // Filter by status
-    if (req.query.status) {
-      filter.status = req.query.status;
-    }
-    
     // Filter by author
     if (req.query.authorId) {
       filter.authorId = req.query.authorId;
     }
 
-    // Search in title and content
-    if (req.query.search) {
-      filter.$or = [
-        { title: { $regex: req.query.search, $options: 'i' } },
-        { content: { $regex: req.query.search, $options: 'i' } }
-      ];
-    }
-
-    // Build sort object
-    let sort = { createdAt: -1 }; // Default: newest first
-    
-    if (req.query.sort) {
-      switch (req.query.sort) {
-        case 'oldest':
-          sort = { createdAt: 1 };
-          break;
-        case 'popular':
-          sort = { views: -1 };
-          break;
-        case 'likes':
-          sort = { likes: -1 };
-          break;
-        case 'title':
-          sort = { title: 1 };
-          break;
+    // Filter by status: only live articles are public, other statuses
+    // are limited to the requester's own articles (editors and admins see all)
+    if (req.query.status && req.query.status !== 'published') {
+      if (!req.user) {
+        return res.status(401).json({ message: "Login required to list unpublished articles" });
+      }
+      filter.status = req.query.status;
+      if (!hasPermission(req.user, 'articles:read-unpublished')) {
+        filter.authorId = req.user._id;
       }
+    } else {
+      filter.isPublished = true;
     }
 
-    const articles = await Article.find(filter)
-      .populate('authorId', 'name email') // Populate author info
-      .sort(sort)
-      .skip(skip)
-      .limit(limit);
-
-    const totalArticles = await Article.countDocuments(filter);
-    const totalPages = Math.ceil(totalArticles / limit);
-
-    if (!articles || articles.length === 0) {
-      return res.status(404).json({ 
-        message: "No articles found matching your criteria" 
-      });
+    // Search in title, content and excerpt through the text index
+    // (see /api/search for relevance ranking and highlights)
+    if (req.query.search) {
+      filter.$text = { $search: req.query.search };
     }
 
-    res.status(200).json({
-      currentPage: page,
-      totalPages,
-      totalArticles,
-      articlesPerPage: limit,
-      articles,
+    const result = await paginate(Article, filter, {
+      ...listingOptions(req.query),
+      prepare: query => query.populate('authorId', 'name email') // Populate author info
     });
+
+    result.items = await withBookmarkFlags(result.items, req.user);
+
+    // An empty result is an empty page, not an error
+    res.status(200).json(listingResponse(result));
   } catch (err) {
+    if (err.name === 'CursorError') {
+      return res.status(400).json({ message: err.message });
+    }
     res.status(500).json({ error: err.message });
   }
 }
@@ -92,76 +141,200 @@ export async function getAllArticles(req, res) {
 export async function getArticlesByAuthor(req, res) {
   try {
     const { authorId } = req.params;
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
 
     // Validate authorId format
     if (!mongoose.Types.ObjectId.isValid(authorId)) {
       return res.status(400).json({ message: "Invalid author ID format" });
     }
+    if (req.query.sort === 'trending' && !trendingSortKey(req.query.window)) {
+      return res.status(400).json({ message: TRENDING_WINDOW_MESSAGE });
+    }
 
-    const articles = await Article.find({ authorId })
-      .populate('authorId', 'name email')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
+    // The author, editors and admins also see drafts and scheduled articles
+    const filter = { authorId };
+    const canSeeUnpublished = req.user &&
+      (hasPermission(req.user, 'articles:read-unpublished') || req.user._id.toString() === authorId);
+    if (!canSeeUnpublished) {
+      filter.isPublished = true;
+    } else if (req.query.status) {
+      filter.status = req.query.status;
+    }
 
-    const totalArticles = await Article.countDocuments({ authorId });
-    const totalPages = Math.ceil(totalArticles / limit);
+    const result = await paginate(Article, filter, {
+      ...listingOptions(req.query),
+      prepare: query => query.populate('authorId', 'name email')
+    });
+    result.items = await withBookmarkFlags(result.items, req.user);
 
-    if (!articles || articles.length === 0) {
-      return res.status(404).json({ 
-        message: "No articles found for this author" 
-      });
+    res.status(200).json(listingResponse(result));
+  } catch (err) {
+    if (err.name === 'CursorError') {
+      return res.status(400).json({ message: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// ✅ Trending articles: recent views, likes and comments with time decay
+// (?window=24h|7d|30d, &category=, &tag=, cursor paging with ?after=/&before=)
+export async function getTrendingArticles(req, res) {
+  try {
+    const window = req.query.window || DEFAULT_TRENDING_WINDOW;
+    const sortKey = trendingSortKey(window);
+    if (!sortKey) {
+      return res.status(400).json({ message: TRENDING_WINDOW_MESSAGE });
+    }
+
+    // Only articles with recent activity trend
+    const filter = { isPublished: true, [`trending.${window}`]: { $gt: 0 } };
+    if (req.query.category) {
+      filter.category = await Category.resolveName(req.query.category);
+    }
+    if (req.query.tag) {
+      filter.tags = req.query.tag.trim().toLowerCase();
     }
 
+    const result = await paginate(Article, filter, {
+      sortKey,
+      limit: Math.min(parseInt(req.query.limit) || 10, 50),
+      after: req.query.after,
+      before: req.query.before,
+      cursor: true,
+      prepare: query => query.select('-rendered.html').populate('authorId', 'name avatar')
+    });
+    result.items = await withBookmarkFlags(result.items, req.user);
+
+    res.status(200).json({ window, ...listingResponse(result) });
+  } catch (err) {
+    if (err.name === 'CursorError') {
+      return res.status(400).json({ message: err.message });
+    }
+    res.status(500).json({ message: "Error fetching trending articles", error: err.message });
+  }
+}
+
+// ✅ Articles to read next: shared tags, same category, same author and text
+// similarity. Skips what the reader liked or viewed recently (view events
+// are kept for a week). ?limit= (default 5, at most 20)
+export async function getRelatedArticles(req, res) {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid article ID format" });
+    }
+
+    const article = await Article.findById(id).select('title tags category authorId isPublished');
+    if (!article || !article.isVisibleTo(req.user)) {
+      return res.status(404).json({ message: "Article not found" });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 5, 20);
+    const candidates = await relatedCandidates(article);
+    const candidateIds = candidates.map(candidate => candidate.id);
+
+    const [viewed, liked] = await Promise.all([
+      ArticleView.find({ articleId: { $in: candidateIds }, visitorKey: visitorKey(req) }).distinct('articleId'),
+      req.user
+        ? Article.find({ _id: { $in: candidateIds }, likedBy: req.user._id }).distinct('_id')
+        : []
+    ]);
+    const seen = new Set([...viewed, ...liked].map(String));
+
+    // Cached rankings can include articles unpublished since; the query drops them
+    const scores = new Map(candidates.map(candidate => [candidate.id, candidate.score]));
+    const wanted = candidateIds.filter(candidateId => !seen.has(candidateId));
+    const articles = await Article.find({ _id: { $in: wanted }, isPublished: true })
+      .select('-rendered.html -likedBy')
+      .populate('authorId', 'name avatar');
+    const byId = new Map(articles.map(related => [related._id.toString(), related]));
+    const ordered = wanted.map(candidateId => byId.get(candidateId)).filter(Boolean).slice(0, limit);
+
+    const withFlags = await withBookmarkFlags(ordered, req.user);
     res.status(200).json({
-      currentPage: page,
-      totalPages,
-      totalArticles,
-      articlesPerPage: limit,
-      articles,
+      articleId: article._id,
+      articles: withFlags.map(related => ({ ...related, relevance: scores.get(related._id.toString()) }))
     });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(500).json({ message: "Error fetching related articles", error: err.message });
   }
 }
 
 // Get article by ID
+// Also accepts a slug in place of the ID
 export async function getArticleById(req, res) {
   try {
     const { id } = req.params;
 
-    // Validate ID format
     if (!mongoose.Types.ObjectId.isValid(id)) {
-      return res.status(400).json({ message: "Invalid article ID format" });
+      return sendArticleBySlug(req, res, id);
     }
 
     const article = await Article.findById(id)
       .populate('authorId', 'name email avatar bio createdAt')
-      .populate('comments.userId', 'name email avatar')
-      .populate('likedBy', 'name email');
-
-    if (!article) {
-      return res.status(404).json({ message: "Article not found" });
-    }
+      .populate('likedBy', 'name email')
+      .populate('media', INLINE_MEDIA_FIELDS);
 
-    // Increment view count
-    article.views += 1;
-    await article.save();
+    await sendArticle(req, res, article);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
 
-    res.status(200).json(article);
+// ✅ Get article by slug (old slugs answer with a redirect to the current one)
+export async function getArticleBySlug(req, res) {
+  try {
+    await sendArticleBySlug(req, res, req.params.slug);
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 }
 
+async function sendArticleBySlug(req, res, rawSlug) {
+  const slug = rawSlug.toLowerCase();
+
+  const article = await Article.findOne({ slug })
+    .populate('authorId', 'name email avatar bio createdAt')
+    .populate('likedBy', 'name email')
+    .populate('media', INLINE_MEDIA_FIELDS);
+  if (article) {
+    return sendArticle(req, res, article);
+  }
+
+  // The article was renamed: point the client at its current slug
+  const moved = await Article.findOne({ slugHistory: slug }).select('slug authorId isPublished');
+  if (!moved || !moved.isVisibleTo(req.user)) {
+    return res.status(404).json({ message: "Article not found" });
+  }
+
+  const location = `${req.baseUrl}/slug/${moved.slug}`;
+  res.status(301).location(location).json({
+    message: "Article has moved",
+    slug: moved.slug,
+    location
+  });
+}
+
+async function sendArticle(req, res, article) {
+  // Drafts are hidden from everyone but their author and admins
+  if (!article || !article.isVisibleTo(req.user)) {
+    return res.status(404).json({ message: "Article not found" });
+  }
+
+  // Count the view (once per visitor per window, never bots or the author)
+  if (await recordView(article, req)) {
+    article.views += 1;
+  }
+
+  const [withFlag] = await withBookmarkFlags([article], req.user);
+  res.status(200).json(withFlag);
+}
+
 
 export async function createArticle(req, res) {
   try {
 
-    const { title, content, excerpt, category, tags, status } = req.body;
+    const { title, slug, content, contentFormat, excerpt, category, tags, status, scheduledFor, unpublishAt, bannerMediaId, mediaIds } = req.body;
     const authorId = req.user._id;
 
    
@@ -172,72 +345,87 @@ export async function createArticle(req, res) {
       });
     }
 
-    if (!req.file) {
+    if (!req.file && !bannerMediaId) {
       return res.status(400).json({
         success: false,
         message: 'No image file uploaded'
       });
     }
 
-    const file = req.file;
-
-    const uploadPromise = new Promise((resolve, reject) => {
-      const uploadStream = cloudinary.uploader.upload_stream(
-        {
-          folder: 'banner',
-          resource_type: 'image'
-        },
-        (error, result) => {
-          if (error) reject(error);
-          else resolve(result);
-        }
-      );
+    if (req.file && bannerMediaId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Send either an image file or bannerMediaId, not both'
+      });
+    }
 
-      const filePath = path.resolve(file.path);
-      fs.createReadStream(filePath).pipe(uploadStream);
-    });
+    // ✅ Images from the media library used in the body
+    const inlineMedia = await loadLibraryItems(req.user, parseMediaIds(mediaIds));
+    if (!inlineMedia) {
+      return res.status(400).json({ success: false, message: 'Unknown media item in mediaIds' });
+    }
 
-    const result = await uploadPromise;
+    let image;
+    if (bannerMediaId) {
+      const [banner] = await loadLibraryItems(req.user, [String(bannerMediaId)]) || [];
+      if (!banner) {
+        return res.status(400).json({ success: false, message: 'Unknown media item in bannerMediaId' });
+      }
+      image = banner.toImage();
+    } else {
+      // ✅ Validate, resize and upload the banner with the configured storage driver
+      image = await storeImage(req.file, 'banner');
+    }
 
     // ✅ Save article to DB
     const article = new Article({
       authorId,
       title,
+      // Without a slug one is generated from the title
+      slug: slug || undefined,
+      customSlug: Boolean(slug),
       content,
+      contentFormat: contentFormat || undefined,
       excerpt,
       category,
-      tags: Array.isArray(tags) ? tags : tags?.split(' ') || [],
-      status,
-      image: {
-        originalName: file.originalname,
-        cloudinaryUrl: result.secure_url,
-        cloudinaryId: result.public_id
-      }
+      tags: cleanTagList(tags),
+      // A publish date without an explicit status schedules the article
+      status: status || (scheduledFor ? 'scheduled' : undefined),
+      scheduledFor: scheduledFor || null,
+      unpublishAt: unpublishAt || null,
+      image,
+      media: inlineMedia.map(item => item._id)
     });
 
-    await article.save();
-
-    // ✅ Optionally delete the local file after upload
-    fs.unlink(file.path, (err) => {
-      if (err) console.error('Failed to delete local file:', err);
-      else console.log('Local file deleted:', file.path);
-    });
+    try {
+      await article.save();
+    } catch (err) {
+      // Don't leave an orphaned upload behind
+      await releaseBanner(image);
+      throw err;
+    }
+    await Revision.record(article, authorId, []);
 
     res.status(201).json({ success: true, article });
 
   } catch (err) {
+    if (err.name === 'ImageError') {
+      return res.status(err.status).json({ success: false, message: err.message });
+    }
     console.error('❌ createArticle Error:', err);
     res.status(500).json({ 
       success: false,
       message: err.message || 'Internal Server Error' 
     });
+  } finally {
+    removeTempFile(req.file);
   }
 }
 // ✅ Update an article
 export async function updateArticle(req, res) { 
   try {
     const { id } = req.params;
-    const { title, content, excerpt, category, tags, status } = req.body;
+    const { title, slug, content, contentFormat, excerpt, category, tags, status, scheduledFor, unpublishAt, bannerMediaId, mediaIds } = req.body;
     const userId = req.user._id;
 
     // Validate ID format
@@ -251,11 +439,11 @@ export async function updateArticle(req, res) {
       return res.status(404).json({ message: "Article not found" });
     }
 
-    // Check authorization: user must be the author or admin
+    // Check authorization: user must be the author or allowed to edit any article
     const isAuthor = article.authorId.toString() === userId.toString();
-    const isAdmin = req.user.isAdmin;
+    const canEditAny = hasPermission(req.user, 'articles:edit-any');
 
-    if (!isAuthor && !isAdmin) {
+    if (!isAuthor && !canEditAny) {
       return res.status(403).json({ 
         message: "Not authorized to update this article. You can only update your own articles." 
       });
@@ -264,54 +452,52 @@ export async function updateArticle(req, res) {
     // Build update object with only provided fields
     const updateData = {};
     if (title !== undefined) updateData.title = title;
+    if (slug !== undefined) {
+      // An empty slug goes back to following the title
+      updateData.slug = slug || undefined;
+      updateData.customSlug = Boolean(slug);
+    }
     if (content !== undefined) updateData.content = content;
+    if (contentFormat !== undefined) updateData.contentFormat = contentFormat;
     if (excerpt !== undefined) updateData.excerpt = excerpt;
     if (category !== undefined) updateData.category = category;
-    if (tags !== undefined) updateData.tags = Array.isArray(tags) ? tags : tags?.split(' ') || [];
+    if (tags !== undefined) updateData.tags = cleanTagList(tags);
     if (status !== undefined) updateData.status = status;
+    if (scheduledFor !== undefined) {
+      updateData.scheduledFor = scheduledFor || null;
+      if (status === undefined && scheduledFor) updateData.status = 'scheduled';
+    }
+    if (unpublishAt !== undefined) updateData.unpublishAt = unpublishAt || null;
 
-    // Handle image upload if file is provided
-    if (req.file) {
-      try {
-        const file = req.file;
-        const uploadPromise = new Promise((resolve, reject) => {
-          const uploadStream = cloudinary.uploader.upload_stream(
-            {
-              folder: 'banner',
-              resource_type: 'image'
-            },
-            (error, result) => {
-              if (error) reject(error);
-              else resolve(result);
-            }
-          );
-
-          const filePath = path.resolve(file.path);
-          fs.createReadStream(filePath).pipe(uploadStream);
-        });
-
-        const result = await uploadPromise;
+    if (mediaIds !== undefined) {
+      const inlineMedia = await loadLibraryItems(req.user, parseMediaIds(mediaIds));
+      if (!inlineMedia) {
+        return res.status(400).json({ message: "Unknown media item in mediaIds" });
+      }
+      updateData.media = inlineMedia.map(item => item._id);
+    }
 
-        // Delete old image from Cloudinary if it exists
-        if (article.image?.cloudinaryId) {
-          try {
-            await cloudinary.uploader.destroy(article.image.cloudinaryId);
-          } catch (err) {
-            console.error('Error deleting old image:', err);
-          }
-        }
+    if (req.file && bannerMediaId) {
+      return res.status(400).json({ message: "Send either an image file or bannerMediaId, not both" });
+    }
 
-        updateData.image = {
-          originalName: file.originalname,
-          cloudinaryUrl: result.secure_url,
-          cloudinaryId: result.public_id
-        };
+    // Use a library item as the new banner
+    if (bannerMediaId) {
+      const [banner] = await loadLibraryItems(req.user, [String(bannerMediaId)]) || [];
+      if (!banner) {
+        return res.status(400).json({ message: "Unknown media item in bannerMediaId" });
+      }
+      updateData.image = banner.toImage();
+    }
 
-        // Delete local file after upload
-        fs.unlink(file.path, (err) => {
-          if (err) console.error('Failed to delete local file:', err);
-        });
+    // Handle image upload if file is provided
+    if (req.file) {
+      try {
+        updateData.image = await storeImage(req.file, 'banner');
       } catch (uploadError) {
+        if (uploadError.name === 'ImageError') {
+          return res.status(uploadError.status).json({ message: uploadError.message });
+        }
         console.error('Image upload error:', uploadError);
         return res.status(500).json({ 
           message: "Error uploading image", 
@@ -325,15 +511,42 @@ export async function updateArticle(req, res) {
       return res.status(400).json({ message: "No fields to update" });
     }
 
-    // Update article
-    const updatedArticle = await Article.findByIdAndUpdate(
-      id,
-      updateData,
-      { 
-        new: true, // Return updated document
-        runValidators: true // Run model validators
+    const before = Revision.snapshotOf(article);
+    const previousImage = article.image?.toObject();
+
+    // Update article through save() so the publishing hook keeps
+    // status, isPublished and publishedAt in sync
+    article.set(updateData);
+    let updatedArticle;
+    try {
+      updatedArticle = await article.save();
+    } catch (err) {
+      await releaseBanner(updateData.image);
+      throw err;
+    }
+
+    // The old image goes only once the new one is saved
+    if (updateData.image) {
+      await releaseBanner(previousImage);
+    }
+
+    // Keep a revision of every change to the text
+    const changedFields = Revision.changedBetween(before, Revision.snapshotOf(updatedArticle));
+    if (changedFields.length > 0) {
+      // Articles created before revisions existed get their old text as a baseline
+      const hasHistory = await Revision.exists({ articleId: updatedArticle._id });
+      if (!hasHistory) {
+        await Revision.create({
+          articleId: updatedArticle._id,
+          version: 1,
+          editorId: updatedArticle.authorId,
+          changedFields: [],
+          snapshot: before
+        });
       }
-    ).populate('authorId', 'name email avatar');
+      await Revision.record(updatedArticle, userId, changedFields);
+    }
+    await updatedArticle.populate('authorId', 'name email avatar');
 
     res.status(200).json({
       message: "Article updated successfully",
@@ -345,6 +558,8 @@ export async function updateArticle(req, res) {
       return res.status(400).json({ message: "Validation error", errors });
     }
     res.status(500).json({ error: err.message });
+  } finally {
+    removeTempFile(req.file);
   }
 }
 
@@ -365,28 +580,28 @@ export async function deleteArticle(req, res) {
       return res.status(404).json({ message: "Article not found" });
     }
 
-    // Check authorization: user must be the author or admin
+    // Check authorization: user must be the author or allowed to delete any article
     const isAuthor = article.authorId.toString() === userId.toString();
-    const isAdmin = req.user.isAdmin;
+    const canDeleteAny = hasPermission(req.user, 'articles:delete-any');
 
-    if (!isAuthor && !isAdmin) {
+    if (!isAuthor && !canDeleteAny) {
       return res.status(403).json({ 
         message: "Not authorized to delete this article. You can only delete your own articles." 
       });
     }
 
-    // Delete image from Cloudinary if it exists
-    if (article.image?.cloudinaryId) {
-      try {
-        await cloudinary.uploader.destroy(article.image.cloudinaryId);
-      } catch (err) {
-        console.error('Error deleting image from Cloudinary:', err);
-        // Continue with article deletion even if image deletion fails
-      }
-    }
+    // Delete the banner image; a failure here doesn't block the deletion
+    await releaseBanner(article.image);
 
-    // Delete the article
+    // Delete the article, its history and its comments, and take it out
+    // of every bookmark and reading list
     await Article.findByIdAndDelete(id);
+    if (article.isPublished) markFeedsChanged();
+    await Revision.deleteMany({ articleId: id });
+    await Comment.deleteMany({ articleId: id });
+    invalidateRelated(id);
+    await Bookmark.deleteMany({ articleId: id });
+    await ReadingList.updateMany({ "items.articleId": id }, { $pull: { items: { articleId: id } } });
 
     res.status(200).json({
       message: "Article deleted successfully",
@@ -411,7 +626,7 @@ export const toggleLike = async (req, res) => {
     }
 
     const article = await Article.findById(articleId);
-    if (!article) {
+    if (!article || !article.isVisibleTo(req.user)) {
       return res.status(404).json({ message: "Article not found" });
     }
 
@@ -434,6 +649,18 @@ export const toggleLike = async (req, res) => {
     }
 
     await article.save();
+
+    if (!alreadyLiked) {
+      await recordActivity(article, "likes");
+      await notify({
+        recipientId: article.authorId,
+        actorId: userId,
+        type: "like",
+        articleId: article._id,
+        data: { title: article.title, slug: article.slug },
+        once: true
+      });
+    }
     
     res.status(200).json({ 
       success: true, 
@@ -446,52 +673,3 @@ export const toggleLike = async (req, res) => {
     res.status(500).json({ message: err.message });
   }
 };
-
-export async function comment(req, res){
-  try {
-    const id = req.params.id;
-    const { comment } = req.body;
-    const userId = req.user._id;
-
-    // Validate ID format
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-      return res.status(400).json({ message: "Invalid article ID format" });
-    }
-
-    // Validate comment text
-    if (!comment || !comment.trim()) {
-      return res.status(400).json({ message: "Comment text is required" });
-    }
-
-    const article = await Article.findById(id);
-    if (!article) {
-      return res.status(404).json({ message: "Article not found" });
-    }
-
-    // Add comment
-    article.comments.push({
-      text: comment.trim(),
-      userId
-    });
-
-    const savedArticle = await article.save();
-    
-    // Populate the newly added comment's user info
-    await savedArticle.populate('comments.userId', 'name email avatar');
-    
-    // Get the last comment (the one we just added)
-    const newComment = savedArticle.comments[savedArticle.comments.length - 1];
-
-    res.status(201).json({
-      success: true,
-      message: "Comment added successfully",
-      comment: newComment,
-      totalComments: savedArticle.comments.length
-    });
-  } catch (error) {
-    console.error('Comment error:', error);
-    res.status(500).json({ 
-      message: error.message || "Error adding comment" 
-    });
-  }
-}
\ No newline at end of file
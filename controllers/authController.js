@@ -0,0 +1,263 @@
+import User from "../models/user.js";
+import UserToken from "../models/userToken.js";
+import bcrypt from "bcryptjs";
+import { recordAudit } from "../util/audit.js";
+import { sendVerificationEmail, sendPasswordResetEmail } from "../util/mailer.js";
+import {
+  rotateRefreshToken,
+  revokeFamily,
+  revokeAllSessions,
+  findFamilyByToken,
+} from "../util/tokens.js";
+
+const VERIFICATION_TTL_MINUTES = 24 * 60;
+const DEFAULT_RESET_TTL_MINUTES = 30;
+
+// Send a verification link for `email` (the current address, or a new one
+// requested through a profile update). Mail failures are logged, not thrown,
+// so they never break registration or profile updates.
+export async function startEmailVerification(user, email = user.email) {
+  try {
+    const token = await UserToken.issue(user._id, "email-verification", VERIFICATION_TTL_MINUTES, { email });
+    await sendVerificationEmail(user, email, token);
+    return true;
+  } catch (err) {
+    console.error("❌ Could not send verification email:", err.message);
+    return false;
+  }
+}
+
+// ✅ Exchange a refresh token for a new access/refresh token pair
+export async function refresh(req, res) {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: "Refresh token is required" });
+    }
+
+    const { user, ...tokens } = await rotateRefreshToken(refreshToken, req);
+
+    res.status(200).json({
+      message: "Token refreshed",
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        isAdmin: user.isAdmin
+      },
+      ...tokens
+    });
+  } catch (err) {
+    if (err.name === "TokenError") {
+      return res.status(401).json({ message: err.message });
+    }
+    res.status(500).json({
+      message: "Error refreshing token",
+      error: err.message
+    });
+  }
+}
+
+// ✅ Log out the current session (from the access token or a given refresh token)
+export async function logout(req, res) {
+  try {
+    const { refreshToken } = req.body;
+    let family = req.sessionId;
+
+    if (refreshToken) {
+      const record = await findFamilyByToken(refreshToken);
+      // Never let one user end another user's session
+      if (record && record.userId.toString() === req.user._id.toString()) {
+        family = record.family;
+      }
+    }
+
+    if (!family) {
+      return res.status(400).json({ message: "No session to log out from" });
+    }
+
+    await revokeFamily(family, "logout");
+
+    res.status(200).json({ message: "Logged out successfully" });
+  } catch (err) {
+    res.status(500).json({
+      message: "Error logging out",
+      error: err.message
+    });
+  }
+}
+
+// ✅ Log out from every device
+export async function logoutAll(req, res) {
+  try {
+    await revokeAllSessions(req.user, "logout-all");
+
+    res.status(200).json({ message: "Logged out from all devices" });
+  } catch (err) {
+    res.status(500).json({
+      message: "Error logging out",
+      error: err.message
+    });
+  }
+}
+
+// ✅ Confirm an email address with the token from the verification email
+export async function verifyEmail(req, res) {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ message: "Verification token is required" });
+    }
+
+    const record = await UserToken.consume(token, "email-verification");
+    if (!record) {
+      return res.status(400).json({ message: "Verification link is invalid or has expired" });
+    }
+
+    const user = await User.findById(record.userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    // Confirming a new address completes the email change
+    const previousEmail = user.email;
+    if (record.email && record.email !== user.email) {
+      const taken = await User.exists({ email: record.email, _id: { $ne: user._id } });
+      if (taken) {
+        return res.status(400).json({ message: "Email already in use" });
+      }
+      user.email = record.email;
+    }
+
+    if (user.pendingEmail === user.email) {
+      user.pendingEmail = null;
+    }
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+
+    if (previousEmail !== user.email) {
+      await recordAudit(req, "user.email-change", {
+        actorId: user._id,
+        targetId: user._id,
+        details: { from: previousEmail, to: user.email }
+      });
+    }
+
+    res.status(200).json({
+      message: "Email verified successfully",
+      email: user.email
+    });
+  } catch (err) {
+    res.status(500).json({
+      message: "Error verifying email",
+      error: err.message
+    });
+  }
+}
+
+// ✅ Send the verification email again
+export async function resendVerification(req, res) {
+  try {
+    const user = req.user;
+    const email = user.pendingEmail || user.email;
+
+    if (user.emailVerified && !user.pendingEmail) {
+      return res.status(400).json({ message: "Email is already verified" });
+    }
+
+    const sent = await startEmailVerification(user, email);
+    if (!sent) {
+      return res.status(502).json({ message: "Could not send verification email, please try again later" });
+    }
+
+    res.status(200).json({ message: `Verification email sent to ${email}` });
+  } catch (err) {
+    res.status(500).json({
+      message: "Error sending verification email",
+      error: err.message
+    });
+  }
+}
+
+// ✅ Start a password reset. The answer is the same whether or not the
+// email is registered, so it can't be used to discover accounts.
+export async function forgotPassword(req, res) {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ message: "Email is required" });
+    }
+
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+    if (user) {
+      const ttl = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || DEFAULT_RESET_TTL_MINUTES;
+      // Not awaited: how long issuing the token and sending take would tell
+      // registered emails apart from unknown ones
+      UserToken.issue(user._id, "password-reset", ttl)
+        .then(token => sendPasswordResetEmail(user, token, ttl))
+        .catch(err => {
+          console.error("❌ Could not send password reset email:", err.message);
+        });
+    }
+
+    res.status(200).json({
+      message: "If an account exists for this email, a password reset link has been sent"
+    });
+  } catch (err) {
+    res.status(500).json({
+      message: "Error requesting password reset",
+      error: err.message
+    });
+  }
+}
+
+// ✅ Set a new password with the token from the reset email
+export async function resetPassword(req, res) {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ message: "Token and new password are required" });
+    }
+
+    if (password.length < 6) {
+      return res.status(400).json({ message: "New password must be at least 6 characters" });
+    }
+
+    const record = await UserToken.consume(token, "password-reset");
+    if (!record) {
+      return res.status(400).json({ message: "Reset link is invalid or has expired" });
+    }
+
+    const user = await User.findById(record.userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const saltRounds = 10;
+    user.password = await bcrypt.hash(password, saltRounds);
+    // Receiving the reset email proves the address works
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    user.mustResetPassword = false;
+    await user.save();
+
+    // Whoever knew the old password is logged out everywhere
+    await revokeAllSessions(user, "password-change");
+    await recordAudit(req, "user.password-reset", { actorId: user._id, targetId: user._id });
+
+    res.status(200).json({ message: "Password has been reset, please log in again" });
+  } catch (err) {
+    res.status(500).json({
+      message: "Error resetting password",
+      error: err.message
+    });
+  }
+}
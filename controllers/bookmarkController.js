@@ -0,0 +1,380 @@
+import Bookmark from "../models/bookmark.js";
+import ReadingList, { MAX_LIST_ITEMS } from "../models/readingList.js";
+import Article from "../models/articles.js";
+import User from "../models/user.js";
+import mongoose from "mongoose";
+import { hasPermission } from "../util/permissions.js";
+
+const MAX_LISTS_PER_USER = 100;
+const LIST_ARTICLE_FIELDS = "-rendered.html -likedBy";
+
+// Published articles, plus the viewer's own drafts (editors see everything).
+// Unpublished articles stay in bookmarks and lists but are hidden.
+function visibilityFilter(viewer, prefix = "") {
+  if (hasPermission(viewer, "articles:read-unpublished")) return {};
+  if (viewer) {
+    return { $or: [{ [`${prefix}isPublished`]: true }, { [`${prefix}authorId`]: viewer._id }] };
+  }
+  return { [`${prefix}isPublished`]: true };
+}
+
+// Load the visible articles among `ids`, keeping the order of `ids`
+async function loadVisibleArticles(ids, viewer) {
+  const articles = await Article.find({ _id: { $in: ids }, ...visibilityFilter(viewer) })
+    .select(LIST_ARTICLE_FIELDS)
+    .populate("authorId", "name avatar");
+  const byId = new Map(articles.map(article => [article._id.toString(), article]));
+  return ids.map(id => byId.get(id.toString())).filter(Boolean);
+}
+
+async function findVisibleArticle(req, res) {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ message: "Invalid article ID format" });
+    return null;
+  }
+
+  const article = await Article.findById(id).select("authorId isPublished");
+  if (!article || !article.isVisibleTo(req.user)) {
+    res.status(404).json({ message: "Article not found" });
+    return null;
+  }
+
+  return article;
+}
+
+// ============================================
+// BOOKMARKS
+// ============================================
+
+// ✅ Bookmark an article
+export async function addBookmark(req, res) {
+  try {
+    const article = await findVisibleArticle(req, res);
+    if (!article) return;
+
+    // Upsert so bookmarking twice is harmless
+    await Bookmark.updateOne(
+      { userId: req.user._id, articleId: article._id },
+      { $setOnInsert: { userId: req.user._id, articleId: article._id } },
+      { upsert: true }
+    );
+
+    res.status(200).json({ message: "Article bookmarked", isBookmarked: true });
+  } catch (err) {
+    res.status(500).json({ message: "Error bookmarking article", error: err.message });
+  }
+}
+
+// ✅ Remove a bookmark
+export async function removeBookmark(req, res) {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid article ID format" });
+    }
+
+    await Bookmark.deleteOne({ userId: req.user._id, articleId: id });
+
+    res.status(200).json({ message: "Bookmark removed", isBookmarked: false });
+  } catch (err) {
+    res.status(500).json({ message: "Error removing bookmark", error: err.message });
+  }
+}
+
+// ✅ Bookmarked articles, most recently saved first
+export async function getBookmarks(req, res) {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    // Join with articles first so hidden ones don't leave holes in pages
+    const [result] = await Bookmark.aggregate([
+      { $match: { userId: req.user._id } },
+      { $sort: { createdAt: -1, _id: -1 } },
+      {
+        $lookup: {
+          from: Article.collection.name,
+          localField: "articleId",
+          foreignField: "_id",
+          as: "article",
+          pipeline: [{ $project: { isPublished: 1, authorId: 1 } }]
+        }
+      },
+      { $unwind: "$article" },
+      { $match: visibilityFilter(req.user, "article.") },
+      {
+        $facet: {
+          page: [{ $skip: skip }, { $limit: limit }, { $project: { articleId: 1, createdAt: 1 } }],
+          total: [{ $count: "count" }]
+        }
+      }
+    ]);
+
+    const bookmarks = result.page;
+    const total = result.total[0]?.count || 0;
+    const articles = await loadVisibleArticles(bookmarks.map(bookmark => bookmark.articleId), req.user);
+    const savedAt = new Map(bookmarks.map(bookmark => [bookmark.articleId.toString(), bookmark.createdAt]));
+
+    res.status(200).json({
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalBookmarks: total,
+      bookmarksPerPage: limit,
+      articles: articles.map(article => ({
+        ...article.toJSON(),
+        isBookmarked: true,
+        bookmarkedAt: savedAt.get(article._id.toString())
+      }))
+    });
+  } catch (err) {
+    res.status(500).json({ message: "Error fetching bookmarks", error: err.message });
+  }
+}
+
+// ============================================
+// READING LISTS
+// ============================================
+
+function presentListSummary(list) {
+  const { items, ...summary } = list.toJSON();
+  return { ...summary, itemCount: items.length };
+}
+
+// Load a list the requester may see; owners can also modify it
+async function findList(req, res, { mustOwn = false } = {}) {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ message: "Invalid list ID format" });
+    return null;
+  }
+
+  const list = await ReadingList.findById(id);
+  const isOwner = list && req.user && list.ownerId.toString() === req.user._id.toString();
+  // Private lists of others are reported as missing, not forbidden
+  if (!list || (!isOwner && list.visibility !== "public")) {
+    res.status(404).json({ message: "Reading list not found" });
+    return null;
+  }
+  if (mustOwn && !isOwner) {
+    res.status(403).json({ message: "Only the owner can change this reading list" });
+    return null;
+  }
+
+  return list;
+}
+
+function validationResponse(res, err) {
+  const errors = Object.values(err.errors).map(error => error.message);
+  return res.status(400).json({ message: "Validation error", errors });
+}
+
+// ✅ Create a reading list
+export async function createList(req, res) {
+  try {
+    const { name, description, visibility } = req.body;
+
+    const count = await ReadingList.countDocuments({ ownerId: req.user._id });
+    if (count >= MAX_LISTS_PER_USER) {
+      return res.status(400).json({ message: `You can have at most ${MAX_LISTS_PER_USER} reading lists` });
+    }
+
+    const list = await ReadingList.create({ ownerId: req.user._id, name, description, visibility });
+
+    res.status(201).json({ message: "Reading list created", list: presentListSummary(list) });
+  } catch (err) {
+    if (err.name === "ValidationError") return validationResponse(res, err);
+    res.status(500).json({ message: "Error creating reading list", error: err.message });
+  }
+}
+
+// ✅ The current user's reading lists
+export async function getMyLists(req, res) {
+  try {
+    const lists = await ReadingList.find({ ownerId: req.user._id }).sort({ updatedAt: -1 });
+    res.status(200).json({ lists: lists.map(presentListSummary) });
+  } catch (err) {
+    res.status(500).json({ message: "Error fetching reading lists", error: err.message });
+  }
+}
+
+// ✅ Public reading lists of a user (the owner also sees private ones)
+export async function getUserLists(req, res) {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid user ID format" });
+    }
+
+    if (!(await User.exists({ _id: id }))) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const filter = { ownerId: id };
+    if (!req.user || req.user._id.toString() !== id) {
+      filter.visibility = "public";
+    }
+
+    const lists = await ReadingList.find(filter).sort({ updatedAt: -1 });
+    res.status(200).json({ userId: id, lists: lists.map(presentListSummary) });
+  } catch (err) {
+    res.status(500).json({ message: "Error fetching reading lists", error: err.message });
+  }
+}
+
+// ✅ A reading list with its articles in order. Unpublished articles are hidden.
+export async function getList(req, res) {
+  try {
+    const list = await findList(req, res);
+    if (!list) return;
+
+    const articles = await loadVisibleArticles(list.items.map(item => item.articleId), req.user);
+    const addedAt = new Map(list.items.map(item => [item.articleId.toString(), item.addedAt]));
+    const bookmarked = req.user
+      ? await Bookmark.bookmarkedIds(req.user._id, articles.map(article => article._id))
+      : new Set();
+
+    res.status(200).json({
+      ...presentListSummary(list),
+      hiddenCount: list.items.length - articles.length,
+      articles: articles.map(article => ({
+        ...article.toJSON(),
+        isBookmarked: bookmarked.has(article._id.toString()),
+        addedAt: addedAt.get(article._id.toString())
+      }))
+    });
+  } catch (err) {
+    res.status(500).json({ message: "Error fetching reading list", error: err.message });
+  }
+}
+
+// ✅ Rename, describe or change the visibility of a list
+export async function updateList(req, res) {
+  try {
+    const list = await findList(req, res, { mustOwn: true });
+    if (!list) return;
+
+    const { name, description, visibility } = req.body;
+    if (name === undefined && description === undefined && visibility === undefined) {
+      return res.status(400).json({ message: "No fields to update" });
+    }
+    if (name !== undefined) list.name = name;
+    if (description !== undefined) list.description = description;
+    if (visibility !== undefined) list.visibility = visibility;
+    await list.save();
+
+    res.status(200).json({ message: "Reading list updated", list: presentListSummary(list) });
+  } catch (err) {
+    if (err.name === "ValidationError") return validationResponse(res, err);
+    res.status(500).json({ message: "Error updating reading list", error: err.message });
+  }
+}
+
+// ✅ Delete a list (the articles are not affected)
+export async function deleteList(req, res) {
+  try {
+    const list = await findList(req, res, { mustOwn: true });
+    if (!list) return;
+
+    await list.deleteOne();
+    res.status(200).json({ message: "Reading list deleted" });
+  } catch (err) {
+    res.status(500).json({ message: "Error deleting reading list", error: err.message });
+  }
+}
+
+// ✅ Add an article to a list, at the end or at `position` (0-based)
+export async function addListItem(req, res) {
+  try {
+    const list = await findList(req, res, { mustOwn: true });
+    if (!list) return;
+
+    const { articleId, position } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(articleId)) {
+      return res.status(400).json({ message: "Invalid article ID format" });
+    }
+
+    const article = await Article.findById(articleId).select("authorId isPublished");
+    if (!article || !article.isVisibleTo(req.user)) {
+      return res.status(404).json({ message: "Article not found" });
+    }
+    if (list.hasArticle(article._id)) {
+      return res.status(409).json({ message: "Article is already in this list" });
+    }
+    if (list.items.length >= MAX_LIST_ITEMS) {
+      return res.status(400).json({ message: `A list cannot hold more than ${MAX_LIST_ITEMS} articles` });
+    }
+
+    const index = Number.isInteger(position)
+      ? Math.min(Math.max(position, 0), list.items.length)
+      : list.items.length;
+    list.items.splice(index, 0, { articleId: article._id });
+    await list.save();
+
+    res.status(200).json({ message: "Article added to list", list: presentListSummary(list) });
+  } catch (err) {
+    if (err.name === "ValidationError") return validationResponse(res, err);
+    res.status(500).json({ message: "Error adding article to list", error: err.message });
+  }
+}
+
+// ✅ Remove an article from a list
+export async function removeListItem(req, res) {
+  try {
+    const list = await findList(req, res, { mustOwn: true });
+    if (!list) return;
+
+    const { articleId } = req.params;
+    if (!list.hasArticle(articleId)) {
+      return res.status(404).json({ message: "Article is not in this list" });
+    }
+
+    list.items = list.items.filter(item => item.articleId.toString() !== articleId);
+    await list.save();
+
+    res.status(200).json({ message: "Article removed from list", list: presentListSummary(list) });
+  } catch (err) {
+    res.status(500).json({ message: "Error removing article from list", error: err.message });
+  }
+}
+
+// ✅ Reorder a list: { articleIds: [...] } in the new order. Articles left
+// out (such as hidden ones) keep their relative order after those given.
+export async function reorderList(req, res) {
+  try {
+    const list = await findList(req, res, { mustOwn: true });
+    if (!list) return;
+
+    const { articleIds } = req.body;
+    if (!Array.isArray(articleIds) || articleIds.length === 0) {
+      return res.status(400).json({ message: "articleIds must be a non-empty array" });
+    }
+
+    const ids = articleIds.map(String);
+    if (new Set(ids).size !== ids.length) {
+      return res.status(400).json({ message: "articleIds must not contain duplicates" });
+    }
+    const unknown = ids.find(id => !list.hasArticle(id));
+    if (unknown) {
+      return res.status(400).json({ message: `Article ${unknown} is not in this list` });
+    }
+
+    const byId = new Map(list.items.map(item => [item.articleId.toString(), item]));
+    const ordered = ids.map(id => byId.get(id));
+    const rest = list.items.filter(item => !ids.includes(item.articleId.toString()));
+    list.items = [...ordered, ...rest].map(item => item.toObject());
+    await list.save();
+
+    res.status(200).json({
+      message: "Reading list reordered",
+      articleIds: list.items.map(item => item.articleId)
+    });
+  } catch (err) {
+    res.status(500).json({ message: "Error reordering reading list", error: err.message });
+  }
+}
@@ -0,0 +1,284 @@
+import Category from "../models/category.js";
+import Article from "../models/articles.js";
+import mongoose from "mongoose";
+import { recordAudit } from "../util/audit.js";
+
+const EDITABLE_FIELDS = ["name", "description", "color", "icon", "parentId", "order"];
+const MAX_DEPTH = 10;
+
+// Published articles per category name
+async function articleCounts() {
+  const counts = await Article.aggregate([
+    { $match: { isPublished: true } },
+    { $group: { _id: "$category", count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(({ _id, count }) => [_id, count]));
+}
+
+function presentCategory(category, counts) {
+  return { ...category.toObject(), articleCount: counts.get(category.name) || 0 };
+}
+
+// Nest categories under their parents, keeping the sort order
+function buildTree(categories) {
+  const byId = new Map(categories.map(category => [category._id.toString(), { ...category, children: [] }]));
+  const roots = [];
+  for (const node of byId.values()) {
+    const parent = node.parentId && byId.get(node.parentId.toString());
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  }
+  return roots;
+}
+
+async function findCategory(req, res) {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ message: "Invalid category ID format" });
+    return null;
+  }
+
+  const category = await Category.findById(id);
+  if (!category) {
+    res.status(404).json({ message: "Category not found" });
+    return null;
+  }
+
+  return category;
+}
+
+// Check a new parent: it must exist and must not be the category or one of its descendants
+async function checkParent(res, parentId, category = null) {
+  if (!parentId) return true;
+
+  if (!mongoose.Types.ObjectId.isValid(parentId)) {
+    res.status(400).json({ message: "Invalid parent category ID format" });
+    return false;
+  }
+
+  let current = await Category.findById(parentId).select("parentId");
+  if (!current) {
+    res.status(400).json({ message: "Parent category not found" });
+    return false;
+  }
+
+  for (let depth = 0; current && depth < MAX_DEPTH; depth++) {
+    if (category && current._id.equals(category._id)) {
+      res.status(400).json({ message: "A category cannot be placed under itself or its subcategories" });
+      return false;
+    }
+    current = current.parentId ? await Category.findById(current.parentId).select("parentId") : null;
+  }
+  if (current) {
+    res.status(400).json({ message: `Categories cannot be nested more than ${MAX_DEPTH} levels deep` });
+    return false;
+  }
+
+  return true;
+}
+
+// Whether `category` sits somewhere below `ancestorId`
+async function isDescendant(category, ancestorId) {
+  let parentId = category.parentId;
+  for (let depth = 0; parentId && depth < MAX_DEPTH; depth++) {
+    if (parentId.equals(ancestorId)) return true;
+    const parent = await Category.findById(parentId).select("parentId");
+    parentId = parent?.parentId;
+  }
+  return false;
+}
+
+function saveErrorResponse(res, err, fallback) {
+  if (err.name === "ValidationError") {
+    const errors = Object.values(err.errors).map(error => error.message);
+    return res.status(400).json({ message: "Validation error", errors });
+  }
+  if (err.code === 11000) {
+    return res.status(409).json({ message: "A category with this name already exists" });
+  }
+  return res.status(500).json({ message: fallback, error: err.message });
+}
+
+// ✅ All categories with published article counts (?tree=true nests subcategories)
+export async function getCategories(req, res) {
+  try {
+    const [categories, counts] = await Promise.all([
+      Category.find().sort({ order: 1, name: 1 }),
+      articleCounts()
+    ]);
+    const presented = categories.map(category => presentCategory(category, counts));
+
+    res.status(200).json({
+      categories: req.query.tree === "true" ? buildTree(presented) : presented
+    });
+  } catch (err) {
+    res.status(500).json({ message: "Error fetching categories", error: err.message });
+  }
+}
+
+// ✅ One category by slug or ID, with its subcategories
+export async function getCategory(req, res) {
+  try {
+    const { slug } = req.params;
+    const category = mongoose.Types.ObjectId.isValid(slug)
+      ? await Category.findById(slug)
+      : await Category.findOne({ slug: slug.toLowerCase() });
+    if (!category) {
+      return res.status(404).json({ message: "Category not found" });
+    }
+
+    const [children, counts] = await Promise.all([
+      Category.find({ parentId: category._id }).sort({ order: 1, name: 1 }),
+      articleCounts()
+    ]);
+
+    res.status(200).json({
+      ...presentCategory(category, counts),
+      children: children.map(child => presentCategory(child, counts))
+    });
+  } catch (err) {
+    res.status(500).json({ message: "Error fetching category", error: err.message });
+  }
+}
+
+// ✅ Create a category
+export async function createCategory(req, res) {
+  try {
+    const data = Object.fromEntries(EDITABLE_FIELDS.filter(field => req.body[field] !== undefined)
+      .map(field => [field, req.body[field]]));
+
+    if (!(await checkParent(res, data.parentId))) return;
+
+    const category = await Category.create(data);
+    await recordAudit(req, "category.create", {
+      targetType: "category",
+      targetId: category._id,
+      details: { name: category.name }
+    });
+
+    res.status(201).json({ message: "Category created", category });
+  } catch (err) {
+    saveErrorResponse(res, err, "Error creating category");
+  }
+}
+
+// ✅ Update a category. Renaming it renames the category of its articles.
+export async function updateCategory(req, res) {
+  try {
+    const category = await findCategory(req, res);
+    if (!category) return;
+
+    const changes = EDITABLE_FIELDS.filter(field => req.body[field] !== undefined);
+    if (changes.length === 0) {
+      return res.status(400).json({ message: "No fields to update" });
+    }
+    if (changes.includes("parentId") && !(await checkParent(res, req.body.parentId, category))) return;
+
+    const previousName = category.name;
+    for (const field of changes) {
+      category[field] = field === "parentId" ? req.body.parentId || null : req.body[field];
+    }
+    await category.save();
+
+    let articlesUpdated = 0;
+    if (category.name !== previousName) {
+      const result = await Article.updateMany(
+        { category: previousName },
+        { $set: { category: category.name, contentUpdatedAt: new Date() } },
+        { timestamps: false }
+      );
+      articlesUpdated = result.modifiedCount;
+    }
+
+    await recordAudit(req, "category.update", {
+      targetType: "category",
+      targetId: category._id,
+      details: { changes, previousName, articlesUpdated }
+    });
+
+    res.status(200).json({ message: "Category updated", category, articlesUpdated });
+  } catch (err) {
+    saveErrorResponse(res, err, "Error updating category");
+  }
+}
+
+// ✅ Move every article and subcategory of a category into another one,
+// then delete it: { targetId }
+export async function mergeCategory(req, res) {
+  try {
+    const source = await findCategory(req, res);
+    if (!source) return;
+
+    const { targetId } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(targetId)) {
+      return res.status(400).json({ message: "Invalid target category ID format" });
+    }
+    if (source._id.equals(targetId)) {
+      return res.status(400).json({ message: "A category cannot be merged into itself" });
+    }
+
+    const target = await Category.findById(targetId);
+    if (!target) {
+      return res.status(404).json({ message: "Target category not found" });
+    }
+
+    // A subcategory (at any depth) merged into takes the source's place in
+    // the tree first, so re-parenting the source's children can't make a cycle
+    if (await isDescendant(target, source._id)) {
+      target.parentId = source.parentId;
+      await target.save();
+    }
+
+    const articles = await Article.updateMany(
+      { category: source.name },
+      { $set: { category: target.name, contentUpdatedAt: new Date() } },
+      { timestamps: false }
+    );
+    await Category.updateMany({ parentId: source._id }, { $set: { parentId: target._id } });
+    await source.deleteOne();
+
+    await recordAudit(req, "category.merge", {
+      targetType: "category",
+      targetId: target._id,
+      details: { from: source.name, into: target.name, articlesUpdated: articles.modifiedCount }
+    });
+
+    res.status(200).json({
+      message: `Merged "${source.name}" into "${target.name}"`,
+      category: target,
+      articlesUpdated: articles.modifiedCount
+    });
+  } catch (err) {
+    res.status(500).json({ message: "Error merging categories", error: err.message });
+  }
+}
+
+// ✅ Delete an unused category. Its subcategories move up to its parent.
+export async function deleteCategory(req, res) {
+  try {
+    const category = await findCategory(req, res);
+    if (!category) return;
+
+    const inUse = await Article.countDocuments({ category: category.name });
+    if (inUse > 0) {
+      return res.status(409).json({
+        message: `${inUse} article(s) use this category. Merge it into another category instead.`,
+        articleCount: inUse
+      });
+    }
+
+    await Category.updateMany({ parentId: category._id }, { $set: { parentId: category.parentId } });
+    await category.deleteOne();
+
+    await recordAudit(req, "category.delete", {
+      targetType: "category",
+      targetId: category._id,
+      details: { name: category.name }
+    });
+
+    res.status(200).json({ message: "Category deleted" });
+  } catch (err) {
+    res.status(500).json({ message: "Error deleting category", error: err.message });
+  }
+}
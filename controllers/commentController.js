@@ -0,0 +1,456 @@
+import Article from "../models/articles.js";
+import Comment from "../models/comment.js";
+import mongoose from "mongoose";
+import { classifyComment, isSiteModerationEnabled } from "../util/spamFilter.js";
+import { hasPermission } from "../util/permissions.js";
+import { notify } from "../util/notifications.js";
+import { recordActivity } from "../util/analytics.js";
+
+const COMMENT_SORTS = {
+  newest: { createdAt: -1, _id: -1 },
+  oldest: { createdAt: 1, _id: 1 },
+  top: { replyCount: -1, createdAt: -1, _id: -1 }
+};
+
+const MODERATION_ACTIONS = {
+  approve: "approved",
+  reject: "rejected",
+  spam: "spam"
+};
+
+// Keep article.commentCount and parent.replyCount in line with approved comments
+async function adjustCounts(comment, delta) {
+  if (comment.parentId) {
+    await Comment.updateOne(
+      { _id: comment.parentId, replyCount: { $gt: delta < 0 ? 0 : -1 } },
+      { $inc: { replyCount: delta } }
+    );
+  }
+  return Article.findOneAndUpdate(
+    { _id: comment.articleId, commentCount: { $gt: delta < 0 ? 0 : -1 } },
+    { $inc: { commentCount: delta } },
+    { new: true }
+  );
+}
+
+// Tell the article author about a new comment and the parent's author about
+// a reply. Called once the comment is visible, i.e. approved.
+async function notifyNewComment(comment, article) {
+  const data = { title: article.title, slug: article.slug, text: comment.text.slice(0, 140) };
+  const common = { actorId: comment.userId, articleId: article._id, commentId: comment._id, data };
+
+  let parentAuthorId = null;
+  if (comment.parentId) {
+    const parent = await Comment.findById(comment.parentId).select("userId isDeleted");
+    if (parent && !parent.isDeleted) {
+      parentAuthorId = parent.userId;
+      await notify({ ...common, recipientId: parentAuthorId, type: "reply" });
+    }
+  }
+
+  // An author replied to directly already got the reply notification
+  if (!parentAuthorId || parentAuthorId.toString() !== article.authorId.toString()) {
+    await notify({ ...common, recipientId: article.authorId, type: "comment" });
+  }
+}
+
+// Article authors moderate their own articles, editors and admins moderate everything
+function canModerate(user, article) {
+  if (hasPermission(user, "comments:moderate-any")) return true;
+  return Boolean(article) &&
+    article.authorId.toString() === user._id.toString() &&
+    hasPermission(user, "comments:moderate-own");
+}
+
+// Hide the text of deleted comments that are kept for their replies
+function presentComment(comment) {
+  const json = comment.toJSON();
+  if (json.isDeleted) {
+    json.text = "[deleted]";
+    json.userId = null;
+  }
+  return json;
+}
+
+// ✅ Get comments of an article (top-level by default, or replies with ?parentId=)
+export async function getComments(req, res) {
+  try {
+    const { id } = req.params;
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+    const sortKey = COMMENT_SORTS[req.query.sort] ? req.query.sort : "newest";
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid article ID format" });
+    }
+
+    const article = await Article.findById(id);
+    if (!article || !article.isVisibleTo(req.user)) {
+      return res.status(404).json({ message: "Article not found" });
+    }
+
+    const filter = { articleId: id, parentId: null, status: "approved" };
+    if (req.query.parentId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.parentId)) {
+        return res.status(400).json({ message: "Invalid parent comment ID format" });
+      }
+      filter.parentId = req.query.parentId;
+    }
+
+    const comments = await Comment.find(filter)
+      .populate('userId', 'name email avatar')
+      .sort(COMMENT_SORTS[sortKey])
+      .skip(skip)
+      .limit(limit);
+
+    const totalComments = await Comment.countDocuments(filter);
+
+    res.status(200).json({
+      currentPage: page,
+      totalPages: Math.ceil(totalComments / limit),
+      totalComments,
+      commentsPerPage: limit,
+      sort: sortKey,
+      commentCount: article.commentCount,
+      comments: comments.map(presentComment)
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// ✅ Add a comment or a reply (with parentId) to an article
+export async function createComment(req, res) {
+  try {
+    const { id } = req.params;
+    // `comment` is accepted for the legacy PATCH /:id/comment route
+    const text = req.body.text ?? req.body.comment;
+    const { parentId } = req.body;
+    const userId = req.user._id;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid article ID format" });
+    }
+
+    if (!text || !text.trim()) {
+      return res.status(400).json({ message: "Comment text is required" });
+    }
+
+    const article = await Article.findById(id);
+    if (!article || !article.isVisibleTo(req.user)) {
+      return res.status(404).json({ message: "Article not found" });
+    }
+
+    if (!article.commentsEnabled) {
+      return res.status(403).json({ message: "Comments are disabled for this article" });
+    }
+
+    // Replies must point at a live comment on the same article
+    let parent = null;
+    if (parentId) {
+      if (!mongoose.Types.ObjectId.isValid(parentId)) {
+        return res.status(400).json({ message: "Invalid parent comment ID format" });
+      }
+      parent = await Comment.findOne({ _id: parentId, articleId: id, status: "approved" });
+      if (!parent || parent.isDeleted) {
+        return res.status(404).json({ message: "Parent comment not found" });
+      }
+    }
+
+    const moderated = article.moderateComments ?? isSiteModerationEnabled();
+    const verdict = await classifyComment({ text, userId, articleId: id, moderated });
+
+    const newComment = await Comment.create({
+      articleId: id,
+      userId,
+      parentId: parent ? parent._id : null,
+      text: text.trim(),
+      status: verdict.status,
+      spamScore: verdict.score,
+      spamReasons: verdict.reasons
+    });
+
+    let totalComments = article.commentCount;
+    if (newComment.status === "approved") {
+      const updatedArticle = await adjustCounts(newComment, 1);
+      totalComments = updatedArticle.commentCount;
+      await recordActivity(article, "comments");
+      await notifyNewComment(newComment, article);
+    }
+
+    await newComment.populate('userId', 'name email avatar');
+
+    let message = parent ? "Reply added successfully" : "Comment added successfully";
+    if (newComment.status !== "approved") {
+      message = "Comment submitted and awaiting moderation";
+    }
+
+    res.status(201).json({
+      success: true,
+      message,
+      comment: newComment,
+      totalComments
+    });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      const errors = Object.values(err.errors).map(error => error.message);
+      return res.status(400).json({ message: "Validation error", errors });
+    }
+    console.error('Comment error:', err);
+    res.status(500).json({ message: err.message || "Error adding comment" });
+  }
+}
+
+// ✅ Edit a comment (comment author, article owner or admin)
+export async function updateComment(req, res) {
+  try {
+    const { commentId } = req.params;
+    const { text } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(commentId)) {
+      return res.status(400).json({ message: "Invalid comment ID format" });
+    }
+
+    if (!text || !text.trim()) {
+      return res.status(400).json({ message: "Comment text is required" });
+    }
+
+    const comment = await Comment.findById(commentId);
+    if (!comment || comment.isDeleted) {
+      return res.status(404).json({ message: "Comment not found" });
+    }
+
+    const article = await Article.findById(comment.articleId).select('authorId moderateComments');
+    const isCommentAuthor = comment.userId.toString() === req.user._id.toString();
+
+    if (!isCommentAuthor && !canModerate(req.user, article)) {
+      return res.status(403).json({ message: "Not authorized to edit this comment" });
+    }
+
+    // Edited text goes through the spam checker again
+    const verdict = await classifyComment({
+      text,
+      userId: comment.userId,
+      articleId: comment.articleId,
+      commentId: comment._id,
+      moderated: (article?.moderateComments ?? isSiteModerationEnabled()) && comment.status !== "approved"
+    });
+
+    const wasApproved = comment.status === "approved";
+    comment.text = text.trim();
+    comment.editedAt = new Date();
+    comment.spamScore = verdict.score;
+    comment.spamReasons = verdict.reasons;
+    if (verdict.status !== "approved") {
+      comment.status = verdict.status;
+    }
+    await comment.save();
+
+    if (wasApproved && comment.status !== "approved") {
+      await adjustCounts(comment, -1);
+    }
+    await comment.populate('userId', 'name email avatar');
+
+    res.status(200).json({
+      message: "Comment updated successfully",
+      comment
+    });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      const errors = Object.values(err.errors).map(error => error.message);
+      return res.status(400).json({ message: "Validation error", errors });
+    }
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// ✅ Delete a comment (comment author, article owner or admin)
+export async function deleteComment(req, res) {
+  try {
+    const { commentId } = req.params;
+    const userId = req.user._id.toString();
+
+    if (!mongoose.Types.ObjectId.isValid(commentId)) {
+      return res.status(400).json({ message: "Invalid comment ID format" });
+    }
+
+    const comment = await Comment.findById(commentId);
+    if (!comment || comment.isDeleted) {
+      return res.status(404).json({ message: "Comment not found" });
+    }
+
+    const article = await Article.findById(comment.articleId).select('authorId');
+    const isCommentAuthor = comment.userId.toString() === userId;
+
+    if (!isCommentAuthor && !canModerate(req.user, article)) {
+      return res.status(403).json({ message: "Not authorized to delete this comment" });
+    }
+
+    // Keep a placeholder when there are replies so the thread stays readable
+    if (comment.replyCount > 0) {
+      comment.isDeleted = true;
+      comment.text = "[deleted]";
+      await comment.save();
+      if (comment.status === "approved") {
+        await Article.updateOne(
+          { _id: comment.articleId, commentCount: { $gt: 0 } },
+          { $inc: { commentCount: -1 } }
+        );
+      }
+    } else {
+      await comment.deleteOne();
+      if (comment.status === "approved") {
+        await adjustCounts(comment, -1);
+      }
+    }
+
+    res.status(200).json({ message: "Comment deleted successfully" });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// ✅ Moderation queue (?status=pending|spam|rejected, ?articleId=)
+export async function getModerationQueue(req, res) {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+    const status = req.query.status || "pending";
+
+    if (!["pending", "spam", "rejected", "approved"].includes(status)) {
+      return res.status(400).json({ message: "Invalid moderation status" });
+    }
+
+    const filter = { status };
+
+    if (req.query.articleId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.articleId)) {
+        return res.status(400).json({ message: "Invalid article ID format" });
+      }
+      filter.articleId = req.query.articleId;
+    }
+
+    // Authors only see comments on their own articles
+    if (!hasPermission(req.user, "comments:moderate-any")) {
+      const ownArticles = await Article.find({ authorId: req.user._id }).distinct('_id');
+      filter.articleId = filter.articleId
+        ? { $in: ownArticles.filter(articleId => articleId.toString() === req.query.articleId) }
+        : { $in: ownArticles };
+    }
+
+    const comments = await Comment.find(filter)
+      .populate('userId', 'name email avatar')
+      .populate('articleId', 'title')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalComments = await Comment.countDocuments(filter);
+
+    res.status(200).json({
+      currentPage: page,
+      totalPages: Math.ceil(totalComments / limit),
+      totalComments,
+      commentsPerPage: limit,
+      status,
+      comments
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// ✅ Approve, reject or mark a comment as spam
+export async function moderateComment(req, res) {
+  try {
+    const { commentId } = req.params;
+    const { action } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(commentId)) {
+      return res.status(400).json({ message: "Invalid comment ID format" });
+    }
+
+    const newStatus = MODERATION_ACTIONS[action];
+    if (!newStatus) {
+      return res.status(400).json({ message: "Action must be one of: approve, reject, spam" });
+    }
+
+    const comment = await Comment.findById(commentId);
+    if (!comment || comment.isDeleted) {
+      return res.status(404).json({ message: "Comment not found" });
+    }
+
+    const article = await Article.findById(comment.articleId).select('authorId title slug');
+    if (!canModerate(req.user, article)) {
+      return res.status(403).json({ message: "Not authorized to moderate this comment" });
+    }
+
+    const wasApproved = comment.status === "approved";
+    comment.status = newStatus;
+    comment.moderatedBy = req.user._id;
+    comment.moderatedAt = new Date();
+    await comment.save();
+
+    if (!wasApproved && newStatus === "approved") {
+      await adjustCounts(comment, 1);
+      await recordActivity(article, "comments");
+      await notifyNewComment(comment, article);
+    } else if (wasApproved && newStatus !== "approved") {
+      await adjustCounts(comment, -1);
+    }
+
+    await notify({
+      recipientId: comment.userId,
+      actorId: req.user._id,
+      type: "moderation",
+      articleId: article._id,
+      commentId: comment._id,
+      data: { status: newStatus, title: article.title, slug: article.slug }
+    });
+
+    res.status(200).json({
+      message: `Comment ${newStatus}`,
+      comment
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// ✅ Turn comments or moderation on/off for an article (author or admin)
+export async function updateCommentSettings(req, res) {
+  try {
+    const { id } = req.params;
+    const { commentsEnabled, moderateComments } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid article ID format" });
+    }
+
+    const article = await Article.findById(id);
+    if (!article) {
+      return res.status(404).json({ message: "Article not found" });
+    }
+
+    if (!canModerate(req.user, article)) {
+      return res.status(403).json({ message: "Not authorized to change comment settings for this article" });
+    }
+
+    if (commentsEnabled !== undefined) article.commentsEnabled = Boolean(commentsEnabled);
+    // null resets the article to the site-wide moderation setting
+    if (moderateComments !== undefined) {
+      article.moderateComments = moderateComments === null ? null : Boolean(moderateComments);
+    }
+    await article.save();
+
+    res.status(200).json({
+      message: "Comment settings updated",
+      commentsEnabled: article.commentsEnabled,
+      moderateComments: article.moderateComments ?? isSiteModerationEnabled()
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
@@ -0,0 +1,135 @@
+import Article from "../models/articles.js";
+import Category from "../models/category.js";
+import User from "../models/user.js";
+import mongoose from "mongoose";
+import { buildRss, buildAtom, buildJsonFeed, lastFeedChange } from "../util/feeds.js";
+
+const DEFAULT_ITEM_LIMIT = 20;
+const FEED_MAX_AGE = 15 * 60; // seconds
+
+const FORMATS = {
+  rss: { contentType: "application/rss+xml; charset=utf-8", build: buildRss },
+  atom: { contentType: "application/atom+xml; charset=utf-8", build: buildAtom },
+  json: { contentType: "application/feed+json; charset=utf-8", build: buildJsonFeed }
+};
+
+function siteUrl() {
+  return (process.env.SITE_URL || process.env.FRONTEND_URL || "http://localhost:5173").replace(/\/$/, "");
+}
+
+function articleUrl(article) {
+  return `${siteUrl()}/articles/${article.slug || article._id}`;
+}
+
+function toFeedItem(article) {
+  const published = article.publishedAt || article.createdAt;
+  return {
+    id: article._id.toString(),
+    url: articleUrl(article),
+    title: article.title,
+    summary: article.excerpt || `${article.content.slice(0, 280).trim()}${article.content.length > 280 ? "…" : ""}`,
+    image: article.image?.url || null,
+    author: article.authorId?.name || null,
+    tags: article.tags || [],
+    published,
+    updated: article.contentUpdatedAt || published
+  };
+}
+
+// Work out the filter and title for the requested feed scope
+async function resolveScope(params) {
+  const blogTitle = process.env.SITE_TITLE || "Blogger";
+
+  if (params.category) {
+    // Slugs and lowercase names work too
+    const category = await Category.resolveName(params.category);
+    return {
+      filter: { category },
+      title: `${blogTitle} — ${category}`,
+      description: `Latest ${category} articles`
+    };
+  }
+
+  if (params.tag) {
+    const tag = params.tag.toLowerCase();
+    return {
+      filter: { tags: tag },
+      title: `${blogTitle} — #${tag}`,
+      description: `Latest articles tagged ${tag}`
+    };
+  }
+
+  if (params.authorId) {
+    if (!mongoose.Types.ObjectId.isValid(params.authorId)) return null;
+    const author = await User.findById(params.authorId).select("name");
+    if (!author) return null;
+    return {
+      filter: { authorId: author._id },
+      title: `${blogTitle} — ${author.name}`,
+      description: `Latest articles by ${author.name}`
+    };
+  }
+
+  return {
+    filter: {},
+    title: blogTitle,
+    description: process.env.SITE_DESCRIPTION || "Latest articles"
+  };
+}
+
+// ✅ Build a feed handler for one format (rss, atom or json)
+export function sendFeed(format) {
+  const { contentType, build } = FORMATS[format];
+
+  return async function feedHandler(req, res) {
+    try {
+      const scope = await resolveScope(req.params);
+      if (!scope) {
+        return res.status(404).json({ message: "Feed not found" });
+      }
+
+      const articles = await Article.find({ ...scope.filter, isPublished: true })
+        .populate("authorId", "name")
+        .sort({ publishedAt: -1, _id: -1 })
+        .limit(parseInt(process.env.FEED_ITEM_LIMIT) || DEFAULT_ITEM_LIMIT);
+
+      const items = articles.map(toFeedItem);
+
+      // The feed changes when an article in its scope is published, edited,
+      // unpublished or deleted. Unpublished articles keep the time they left.
+      const changed = await Article.findOne({ ...scope.filter, contentUpdatedAt: { $ne: null } })
+        .sort({ contentUpdatedAt: -1 })
+        .select("contentUpdatedAt");
+      const latest = Math.max(
+        items.reduce((max, item) => Math.max(max, item.published.getTime()), 0),
+        changed ? changed.contentUpdatedAt.getTime() : 0,
+        lastFeedChange().getTime()
+      );
+      // HTTP dates have second precision
+      const lastModified = new Date(Math.floor(latest / 1000) * 1000);
+
+      res.set("Cache-Control", `public, max-age=${FEED_MAX_AGE}`);
+      if (items.length > 0) {
+        res.set("Last-Modified", lastModified.toUTCString());
+
+        const since = new Date(req.get("If-Modified-Since"));
+        if (!isNaN(since) && lastModified <= since) {
+          return res.status(304).end();
+        }
+      }
+
+      const feed = {
+        title: scope.title,
+        description: scope.description,
+        siteUrl: siteUrl(),
+        feedUrl: `${req.protocol}://${req.get("host")}${req.originalUrl.split("?")[0]}`,
+        updated: items.length > 0 ? lastModified : new Date()
+      };
+
+      const body = build(feed, items);
+      res.status(200).type(contentType).send(format === "json" ? JSON.stringify(body) : body);
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  };
+}
@@ -0,0 +1,230 @@
+import Follow from "../models/follow.js";
+import User from "../models/user.js";
+import Article from "../models/articles.js";
+import Tag from "../models/tag.js";
+import mongoose from "mongoose";
+import { paginate } from "../util/pagination.js";
+import { notify } from "../util/notifications.js";
+
+const MAX_FOLLOWED_TAGS = 100;
+
+// Validate :id and make sure the user exists
+async function findTargetUser(req, res) {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ message: "Invalid user ID format" });
+    return null;
+  }
+
+  const user = await User.findById(id).select("name avatar");
+  if (!user) {
+    res.status(404).json({ message: "User not found" });
+    return null;
+  }
+
+  return user;
+}
+
+// ✅ Follow an author
+export async function followUser(req, res) {
+  try {
+    const target = await findTargetUser(req, res);
+    if (!target) return;
+
+    if (target._id.equals(req.user._id)) {
+      return res.status(400).json({ message: "You cannot follow yourself" });
+    }
+
+    // Upsert so following twice is harmless
+    const result = await Follow.updateOne(
+      { followerId: req.user._id, followingId: target._id },
+      { $setOnInsert: { followerId: req.user._id, followingId: target._id } },
+      { upsert: true }
+    );
+
+    if (result.upsertedCount > 0) {
+      await notify({ recipientId: target._id, actorId: req.user._id, type: "follow" });
+    }
+
+    res.status(200).json({
+      message: `You are now following ${target.name}`,
+      following: true,
+      ...await Follow.countsFor(target._id)
+    });
+  } catch (err) {
+    res.status(500).json({ message: "Error following user", error: err.message });
+  }
+}
+
+// ✅ Unfollow an author
+export async function unfollowUser(req, res) {
+  try {
+    const target = await findTargetUser(req, res);
+    if (!target) return;
+
+    await Follow.deleteOne({ followerId: req.user._id, followingId: target._id });
+
+    res.status(200).json({
+      message: `You are no longer following ${target.name}`,
+      following: false,
+      ...await Follow.countsFor(target._id)
+    });
+  } catch (err) {
+    res.status(500).json({ message: "Error unfollowing user", error: err.message });
+  }
+}
+
+// Shared by the follower and following lists
+async function listFollows(req, res, { match, populate }) {
+  const target = await findTargetUser(req, res);
+  if (!target) return;
+
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const skip = (page - 1) * limit;
+  const filter = { [match]: target._id };
+
+  const [follows, total] = await Promise.all([
+    Follow.find(filter)
+      .populate(populate, "name avatar bio")
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit),
+    Follow.countDocuments(filter)
+  ]);
+
+  res.status(200).json({
+    userId: target._id,
+    currentPage: page,
+    totalPages: Math.ceil(total / limit),
+    total,
+    usersPerPage: limit,
+    users: follows
+      .filter(follow => follow[populate])
+      .map(follow => ({ ...follow[populate].toObject(), followedAt: follow.createdAt }))
+  });
+}
+
+// ✅ Users following an author
+export async function getFollowers(req, res) {
+  try {
+    await listFollows(req, res, { match: "followingId", populate: "followerId" });
+  } catch (err) {
+    res.status(500).json({ message: "Error fetching followers", error: err.message });
+  }
+}
+
+// ✅ Authors a user follows
+export async function getFollowing(req, res) {
+  try {
+    await listFollows(req, res, { match: "followerId", populate: "followingId" });
+  } catch (err) {
+    res.status(500).json({ message: "Error fetching followed users", error: err.message });
+  }
+}
+
+// ✅ Tags the current user follows
+export async function getFollowedTags(req, res) {
+  try {
+    const user = await User.findById(req.user._id).select("followedTags");
+    res.status(200).json({ tags: user.followedTags });
+  } catch (err) {
+    res.status(500).json({ message: "Error fetching followed tags", error: err.message });
+  }
+}
+
+// ✅ Follow a tag
+export async function followTag(req, res) {
+  try {
+    const requested = req.params.tag.trim().toLowerCase();
+    if (requested.length < 2 || requested.length > 30) {
+      return res.status(400).json({ message: "Tag must be between 2 and 30 characters" });
+    }
+
+    // Following an alias follows its canonical tag
+    const { tags: [tag], blocked } = await Tag.canonicalize([requested]);
+    if (blocked.length > 0) {
+      return res.status(400).json({ message: `#${requested} cannot be followed` });
+    }
+
+    const user = await User.findOneAndUpdate(
+      { _id: req.user._id, [`followedTags.${MAX_FOLLOWED_TAGS - 1}`]: { $exists: false } },
+      { $addToSet: { followedTags: tag } },
+      { new: true }
+    ).select("followedTags");
+
+    if (!user) {
+      return res.status(400).json({ message: `You can follow at most ${MAX_FOLLOWED_TAGS} tags` });
+    }
+
+    res.status(200).json({ message: `You are now following #${tag}`, tags: user.followedTags });
+  } catch (err) {
+    res.status(500).json({ message: "Error following tag", error: err.message });
+  }
+}
+
+// ✅ Unfollow a tag
+export async function unfollowTag(req, res) {
+  try {
+    const requested = req.params.tag.trim().toLowerCase();
+    const managed = await Tag.findByNameOrAlias(requested);
+    const tag = managed ? managed.name : requested;
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $pull: { followedTags: tag } },
+      { new: true }
+    ).select("followedTags");
+
+    res.status(200).json({ message: `You are no longer following #${tag}`, tags: user.followedTags });
+  } catch (err) {
+    res.status(500).json({ message: "Error unfollowing tag", error: err.message });
+  }
+}
+
+// ✅ Personalized feed: published articles by followed authors or with
+// followed tags, newest first (cursor paging with ?after=/&before=).
+// Users who follow nothing get popular articles instead.
+export async function getHomeFeed(req, res) {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    const { after, before } = req.query;
+
+    const [follows, user] = await Promise.all([
+      Follow.find({ followerId: req.user._id }).select("followingId"),
+      User.findById(req.user._id).select("followedTags")
+    ]);
+    const authorIds = follows.map(follow => follow.followingId);
+    const tags = user?.followedTags || [];
+
+    const personalized = authorIds.length > 0 || tags.length > 0;
+    const filter = { isPublished: true };
+    if (personalized) {
+      filter.$or = [];
+      if (authorIds.length > 0) filter.$or.push({ authorId: { $in: authorIds } });
+      if (tags.length > 0) filter.$or.push({ tags: { $in: tags } });
+    }
+
+    const result = await paginate(Article, filter, {
+      sortKey: personalized ? "newest" : "popular",
+      limit,
+      after,
+      before,
+      cursor: true,
+      prepare: query => query.select("-rendered.html").populate("authorId", "name avatar")
+    });
+
+    res.status(200).json({
+      source: personalized ? "following" : "popular",
+      articlesPerPage: result.limit,
+      nextCursor: result.nextCursor,
+      prevCursor: result.prevCursor,
+      articles: result.items
+    });
+  } catch (err) {
+    if (err.name === "CursorError") {
+      return res.status(err.status).json({ message: err.message });
+    }
+    res.status(500).json({ message: "Error fetching feed", error: err.message });
+  }
+}
@@ -0,0 +1,227 @@
+import Media from "../models/media.js";
+import Article from "../models/articles.js";
+import mongoose from "mongoose";
+import { hasPermission } from "../util/permissions.js";
+import { storeImage, removeImage } from "../util/images.js";
+import { removeTempFile } from "../util/storage.js";
+
+function canManage(user, item) {
+  return item.ownerId.toString() === user._id.toString() || hasPermission(user, "media:manage-any");
+}
+
+// Accept ids as an array, or a comma/space separated string (multipart forms)
+export function parseMediaIds(value) {
+  if (value === undefined || value === null || value === "") return [];
+  const ids = Array.isArray(value) ? value : String(value).split(/[\s,]+/);
+  return [...new Set(ids.filter(Boolean).map(String))];
+}
+
+// Load library items a user may attach to an article, in the order given.
+// Returns null when an id is invalid, unknown or belongs to someone else.
+export async function loadLibraryItems(user, ids) {
+  if (!ids.every(id => mongoose.Types.ObjectId.isValid(id))) return null;
+  const items = await Media.find({ _id: { $in: ids } });
+  if (items.length !== ids.length || !items.every(item => canManage(user, item))) return null;
+  return ids.map(id => items.find(item => item._id.toString() === id));
+}
+
+// Articles that use a library item, as banner or inline
+async function findUsage(mediaId) {
+  const articles = await Article.find({ $or: [{ "image.mediaId": mediaId }, { media: mediaId }] })
+    .select("title slug image.mediaId");
+
+  const describe = article => ({ id: article._id, title: article.title, slug: article.slug });
+  return {
+    banner: articles.filter(a => a.image?.mediaId?.toString() === mediaId.toString()).map(describe),
+    inline: articles.filter(a => a.image?.mediaId?.toString() !== mediaId.toString()).map(describe)
+  };
+}
+
+// Number of articles using each item, for listings
+async function countUsage(mediaIds) {
+  const counts = await Article.aggregate([
+    { $match: { $or: [{ "image.mediaId": { $in: mediaIds } }, { media: { $in: mediaIds } }] } },
+    { $project: { used: { $setUnion: [["$image.mediaId"], { $ifNull: ["$media", []] }] } } },
+    { $unwind: "$used" },
+    { $match: { used: { $in: mediaIds } } },
+    { $group: { _id: "$used", count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+}
+
+async function findManageableItem(req, res) {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ message: "Invalid media ID format" });
+    return null;
+  }
+
+  const item = await Media.findById(id);
+  if (!item) {
+    res.status(404).json({ message: "Media not found" });
+    return null;
+  }
+
+  if (!canManage(req.user, item)) {
+    res.status(403).json({ message: "Not authorized to access this media item" });
+    return null;
+  }
+
+  return item;
+}
+
+// ✅ Upload an image to the media library
+export async function uploadMedia(req, res) {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: "No image file uploaded" });
+    }
+
+    const image = await storeImage(req.file, "media");
+    const item = new Media({
+      ownerId: req.user._id,
+      ...image,
+      alt: req.body.alt,
+      caption: req.body.caption
+    });
+
+    try {
+      await item.save();
+    } catch (err) {
+      await removeImage(image);
+      throw err;
+    }
+
+    res.status(201).json({ message: "Media uploaded", media: item });
+  } catch (err) {
+    if (err.name === "ImageError") {
+      return res.status(err.status).json({ message: err.message });
+    }
+    if (err.name === "ValidationError") {
+      const errors = Object.values(err.errors).map(error => error.message);
+      return res.status(400).json({ message: "Validation error", errors });
+    }
+    res.status(500).json({ message: "Error uploading media", error: err.message });
+  } finally {
+    removeTempFile(req.file);
+  }
+}
+
+// ✅ List the media library (?q= searches names, alt text and captions;
+// ?ownerId= for users who manage everyone's media)
+export async function getMediaLibrary(req, res) {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 30, 100);
+    const skip = (page - 1) * limit;
+
+    const filter = { ownerId: req.user._id };
+    if (req.query.ownerId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.ownerId)) {
+        return res.status(400).json({ message: "Invalid ownerId format" });
+      }
+      if (req.query.ownerId !== req.user._id.toString() && !hasPermission(req.user, "media:manage-any")) {
+        return res.status(403).json({ message: "Not authorized to browse other users' media" });
+      }
+      filter.ownerId = req.query.ownerId;
+    }
+
+    if (req.query.q) {
+      const pattern = new RegExp(req.query.q.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
+      filter.$or = [{ originalName: pattern }, { alt: pattern }, { caption: pattern }];
+    }
+
+    const items = await Media.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalItems = await Media.countDocuments(filter);
+    const usage = await countUsage(items.map(item => item._id));
+
+    res.status(200).json({
+      currentPage: page,
+      totalPages: Math.ceil(totalItems / limit),
+      totalItems,
+      itemsPerPage: limit,
+      media: items.map(item => ({ ...item.toObject(), usageCount: usage.get(item._id.toString()) || 0 }))
+    });
+  } catch (err) {
+    res.status(500).json({ message: "Error fetching media", error: err.message });
+  }
+}
+
+// ✅ Get a library item and the articles using it
+export async function getMediaItem(req, res) {
+  try {
+    const item = await findManageableItem(req, res);
+    if (!item) return;
+
+    res.status(200).json({ ...item.toObject(), usage: await findUsage(item._id) });
+  } catch (err) {
+    res.status(500).json({ message: "Error fetching media", error: err.message });
+  }
+}
+
+// ✅ Update alt text and caption
+export async function updateMedia(req, res) {
+  try {
+    const item = await findManageableItem(req, res);
+    if (!item) return;
+
+    const { alt, caption } = req.body;
+    if (alt === undefined && caption === undefined) {
+      return res.status(400).json({ message: "No fields to update" });
+    }
+    if (alt !== undefined) item.alt = alt;
+    if (caption !== undefined) item.caption = caption;
+    await item.save();
+
+    res.status(200).json({ message: "Media updated", media: item });
+  } catch (err) {
+    if (err.name === "ValidationError") {
+      const errors = Object.values(err.errors).map(error => error.message);
+      return res.status(400).json({ message: "Validation error", errors });
+    }
+    res.status(500).json({ message: "Error updating media", error: err.message });
+  }
+}
+
+// ✅ Delete a library item. Items used inline need ?force=true, which also
+// removes them from those articles; banners must be replaced first.
+export async function deleteMedia(req, res) {
+  try {
+    const item = await findManageableItem(req, res);
+    if (!item) return;
+
+    const usage = await findUsage(item._id);
+    if (usage.banner.length > 0) {
+      return res.status(409).json({
+        message: "This image is the banner of an article, choose another banner first",
+        usage
+      });
+    }
+
+    const force = req.query.force === "true";
+    if (usage.inline.length > 0 && !force) {
+      return res.status(409).json({
+        message: "This image is used in articles, pass ?force=true to remove it from them",
+        usage
+      });
+    }
+
+    if (usage.inline.length > 0) {
+      await Article.updateMany({ media: item._id }, { $pull: { media: item._id } });
+    }
+    await item.deleteOne();
+    await removeImage(item);
+
+    res.status(200).json({
+      message: "Media deleted",
+      detachedFrom: usage.inline.length
+    });
+  } catch (err) {
+    res.status(500).json({ message: "Error deleting media", error: err.message });
+  }
+}
@@ -0,0 +1,218 @@
+import Notification, { NOTIFICATION_TYPES } from "../models/notification.js";
+import User from "../models/user.js";
+import mongoose from "mongoose";
+import { subscribe, wantsNotification } from "../util/notifications.js";
+import { issueStreamTicket } from "../util/tokens.js";
+
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+
+function populateNotification(query) {
+  return query
+    .populate("actorId", "name avatar")
+    .populate("articleId", "title slug");
+}
+
+function unreadCount(userId) {
+  return Notification.countDocuments({ recipientId: userId, readAt: null });
+}
+
+// ✅ List notifications, newest first (?unread=true, ?type=)
+export async function getNotifications(req, res) {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const filter = { recipientId: req.user._id };
+    if (req.query.unread === "true") {
+      filter.readAt = null;
+    }
+    if (req.query.type) {
+      if (!NOTIFICATION_TYPES.includes(req.query.type)) {
+        return res.status(400).json({ message: `Type must be one of: ${NOTIFICATION_TYPES.join(", ")}` });
+      }
+      filter.type = req.query.type;
+    }
+
+    const [notifications, total, unread] = await Promise.all([
+      populateNotification(Notification.find(filter))
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(limit),
+      Notification.countDocuments(filter),
+      unreadCount(req.user._id)
+    ]);
+
+    res.status(200).json({
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalNotifications: total,
+      notificationsPerPage: limit,
+      unreadCount: unread,
+      notifications
+    });
+  } catch (err) {
+    res.status(500).json({ message: "Error fetching notifications", error: err.message });
+  }
+}
+
+// ✅ Number of unread notifications
+export async function getUnreadCount(req, res) {
+  try {
+    res.status(200).json({ unreadCount: await unreadCount(req.user._id) });
+  } catch (err) {
+    res.status(500).json({ message: "Error counting notifications", error: err.message });
+  }
+}
+
+// ✅ Mark one notification as read
+export async function markRead(req, res) {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid notification ID format" });
+    }
+
+    const notification = await Notification.findOne({ _id: id, recipientId: req.user._id });
+    if (!notification) {
+      return res.status(404).json({ message: "Notification not found" });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.status(200).json({
+      message: "Notification marked as read",
+      notification,
+      unreadCount: await unreadCount(req.user._id)
+    });
+  } catch (err) {
+    res.status(500).json({ message: "Error updating notification", error: err.message });
+  }
+}
+
+// ✅ Mark every notification as read
+export async function markAllRead(req, res) {
+  try {
+    const result = await Notification.updateMany(
+      { recipientId: req.user._id, readAt: null },
+      { readAt: new Date() }
+    );
+
+    res.status(200).json({
+      message: "All notifications marked as read",
+      updated: result.modifiedCount,
+      unreadCount: 0
+    });
+  } catch (err) {
+    res.status(500).json({ message: "Error updating notifications", error: err.message });
+  }
+}
+
+function presentPreferences(user) {
+  return Object.fromEntries(NOTIFICATION_TYPES.map(type => [type, wantsNotification(user, type)]));
+}
+
+// ✅ Which notification types are on
+export async function getPreferences(req, res) {
+  try {
+    res.status(200).json({ preferences: presentPreferences(req.user) });
+  } catch (err) {
+    res.status(500).json({ message: "Error fetching preferences", error: err.message });
+  }
+}
+
+// ✅ Turn notification types on or off: { "like": false, "follow": true }
+export async function updatePreferences(req, res) {
+  try {
+    const changes = req.body || {};
+    const entries = Object.entries(changes);
+
+    if (entries.length === 0) {
+      return res.status(400).json({ message: "No preferences to update" });
+    }
+
+    const unknown = entries.find(([type]) => !NOTIFICATION_TYPES.includes(type));
+    if (unknown) {
+      return res.status(400).json({
+        message: `Unknown notification type "${unknown[0]}", expected one of: ${NOTIFICATION_TYPES.join(", ")}`
+      });
+    }
+    if (entries.some(([, enabled]) => typeof enabled !== "boolean")) {
+      return res.status(400).json({ message: "Preferences must be true or false" });
+    }
+
+    const user = await User.findById(req.user._id);
+    for (const [type, enabled] of entries) {
+      user.notificationPreferences.set(type, enabled);
+    }
+    await user.save();
+
+    res.status(200).json({ message: "Preferences updated", preferences: presentPreferences(user) });
+  } catch (err) {
+    res.status(500).json({ message: "Error updating preferences", error: err.message });
+  }
+}
+
+// ✅ A single-use ticket for GET /stream?ticket=, valid for a minute
+export async function createStreamTicket(req, res) {
+  try {
+    res.status(200).json(await issueStreamTicket(req.user, req));
+  } catch (err) {
+    res.status(500).json({ message: "Error creating stream ticket", error: err.message });
+  }
+}
+
+// ✅ Server-Sent Events stream of new notifications. Sends `ready` with the
+// unread count, then a `notification` event for each new one. The stream
+// ends when the access token expires; clients reconnect with a fresh ticket.
+export async function streamNotifications(req, res) {
+  res.status(200).set({
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    "Connection": "keep-alive",
+    // Stop nginx from buffering the stream
+    "X-Accel-Buffering": "no"
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    if (res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const unsubscribe = subscribe(req.user._id, async (notification) => {
+    try {
+      await populateNotification(notification);
+      send("notification", notification);
+    } catch (err) {
+      console.error("❌ Could not send notification to stream:", err.message);
+    }
+  });
+
+  const heartbeat = setInterval(() => {
+    if (!res.writableEnded) res.write(": ping\n\n");
+  }, STREAM_HEARTBEAT_MS);
+  const expiry = req.tokenExpiresAt
+    ? setTimeout(() => {
+        send("expired", { message: "Access token expired, reconnect with a new ticket" });
+        res.end();
+      }, Math.max(0, req.tokenExpiresAt - Date.now()))
+    : null;
+
+  res.on("close", () => {
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    unsubscribe();
+  });
+
+  try {
+    send("ready", { unreadCount: await unreadCount(req.user._id) });
+  } catch (err) {
+    console.error("❌ Could not count unread notifications:", err.message);
+    send("ready", { unreadCount: null });
+  }
+}
@@ -0,0 +1,171 @@
+import Article from "../models/articles.js";
+import Revision, { REVISION_FIELDS } from "../models/revision.js";
+import mongoose from "mongoose";
+import { diffLines, diffLists } from "../util/diff.js";
+import { hasPermission } from "../util/permissions.js";
+
+// Load an article and make sure the requester is its author or may edit any article
+async function findEditableArticle(req, res) {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ message: "Invalid article ID format" });
+    return null;
+  }
+
+  const article = await Article.findById(id);
+  if (!article) {
+    res.status(404).json({ message: "Article not found" });
+    return null;
+  }
+
+  const isAuthor = article.authorId.toString() === req.user._id.toString();
+  if (!isAuthor && !hasPermission(req.user, "articles:edit-any")) {
+    res.status(403).json({ message: "Not authorized to view the history of this article" });
+    return null;
+  }
+
+  return article;
+}
+
+// Find a revision by version number, or the live article for "current"
+async function resolveVersion(article, version) {
+  if (version === "current") {
+    return { version: "current", snapshot: Revision.snapshotOf(article) };
+  }
+  const number = parseInt(version);
+  if (!number) return null;
+  return Revision.findOne({ articleId: article._id, version: number });
+}
+
+// ✅ List revisions of an article (newest first)
+export async function getRevisions(req, res) {
+  try {
+    const article = await findEditableArticle(req, res);
+    if (!article) return;
+
+    const revisions = await Revision.find({ articleId: article._id })
+      .select("-snapshot")
+      .populate("editorId", "name email")
+      .sort({ version: -1 });
+
+    res.status(200).json({
+      articleId: article._id,
+      totalRevisions: revisions.length,
+      revisions
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// ✅ Get a single revision with its full snapshot
+export async function getRevision(req, res) {
+  try {
+    const article = await findEditableArticle(req, res);
+    if (!article) return;
+
+    const revision = await Revision.findOne({
+      articleId: article._id,
+      version: parseInt(req.params.version)
+    }).populate("editorId", "name email");
+
+    if (!revision) {
+      return res.status(404).json({ message: "Revision not found" });
+    }
+
+    res.status(200).json(revision);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// ✅ Field-level diff between two revisions (?from=2&to=5, "to" defaults to current)
+export async function diffRevisions(req, res) {
+  try {
+    const article = await findEditableArticle(req, res);
+    if (!article) return;
+
+    const { from, to = "current" } = req.query;
+    if (!from) {
+      return res.status(400).json({ message: "The 'from' revision is required" });
+    }
+
+    const [fromRevision, toRevision] = await Promise.all([
+      resolveVersion(article, from),
+      resolveVersion(article, to)
+    ]);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({ message: "Revision not found" });
+    }
+
+    const before = fromRevision.snapshot;
+    const after = toRevision.snapshot;
+
+    const fields = {};
+    for (const field of REVISION_FIELDS) {
+      const changed = Revision.changedBetween(before, after).includes(field);
+      if (field === "tags") {
+        fields.tags = { changed, ...diffLists(before.tags, after.tags) };
+      } else if (field === "content") {
+        fields.content = { changed, hunks: changed ? diffLines(before.content, after.content) : [] };
+      } else {
+        fields[field] = { changed, from: before[field] ?? null, to: after[field] ?? null };
+      }
+    }
+
+    res.status(200).json({
+      articleId: article._id,
+      from: fromRevision.version,
+      to: toRevision.version,
+      changedFields: Revision.changedBetween(before, after),
+      fields
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
+
+// ✅ Restore an old revision as the current version of the article
+export async function restoreRevision(req, res) {
+  try {
+    const article = await findEditableArticle(req, res);
+    if (!article) return;
+
+    const revision = await Revision.findOne({
+      articleId: article._id,
+      version: parseInt(req.params.version)
+    });
+
+    if (!revision) {
+      return res.status(404).json({ message: "Revision not found" });
+    }
+
+    const changedFields = Revision.changedBetween(Revision.snapshotOf(article), revision.snapshot);
+    if (changedFields.length === 0) {
+      return res.status(400).json({ message: "Article already matches this revision" });
+    }
+
+    for (const field of changedFields) {
+      article[field] = revision.snapshot[field];
+    }
+    await article.save();
+
+    // Restoring is itself a change, so it gets a revision of its own
+    const newRevision = await Revision.record(article, req.user._id, changedFields, revision.version);
+    await article.populate("authorId", "name email avatar");
+
+    res.status(200).json({
+      message: `Article restored to revision ${revision.version}`,
+      revision: newRevision.version,
+      article
+    });
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      const errors = Object.values(err.errors).map(error => error.message);
+      return res.status(400).json({ message: "Validation error", errors });
+    }
+    res.status(500).json({ error: err.message });
+  }
+}
@@ -0,0 +1,109 @@
+import Article from "../models/articles.js";
+import Category from "../models/category.js";
+import mongoose from "mongoose";
+import { parseSearchQuery, highlight } from "../util/search.js";
+
+// ✅ Full-text search over published articles, ranked by relevance
+export async function searchArticles(req, res) {
+  try {
+    const q = (req.query.q || "").trim();
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    const skip = (page - 1) * limit;
+
+    if (!q) {
+      return res.status(400).json({ message: "Search query 'q' is required" });
+    }
+
+    const parsed = parseSearchQuery(q);
+    if (parsed.terms.length === 0 && parsed.phrases.length === 0) {
+      return res.status(400).json({ message: "Search query needs at least one word or phrase to look for" });
+    }
+
+    // $text understands "phrases" and -exclusions natively
+    const match = { $text: { $search: q }, isPublished: true };
+
+    if (req.query.category) {
+      match.category = await Category.resolveName(req.query.category);
+    }
+
+    if (req.query.tags) {
+      match.tags = { $in: req.query.tags.split(',').map(tag => tag.trim().toLowerCase()) };
+    }
+
+    if (req.query.authorId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.authorId)) {
+        return res.status(400).json({ message: "Invalid author ID format" });
+      }
+      match.authorId = new mongoose.Types.ObjectId(req.query.authorId);
+    }
+
+    // Date range on publication date (?from=2024-01-01&to=2024-12-31)
+    if (req.query.from || req.query.to) {
+      match.publishedAt = {};
+      if (req.query.from) match.publishedAt.$gte = new Date(req.query.from);
+      if (req.query.to) match.publishedAt.$lte = new Date(req.query.to);
+      if (Object.values(match.publishedAt).some(date => isNaN(date))) {
+        return res.status(400).json({ message: "Invalid date in 'from' or 'to'" });
+      }
+    }
+
+    const [result] = await Article.aggregate([
+      { $match: match },
+      { $addFields: { score: { $meta: "textScore" } } },
+      {
+        $facet: {
+          results: [
+            { $sort: { score: -1, publishedAt: -1, _id: -1 } },
+            { $skip: skip },
+            { $limit: limit },
+            {
+              $project: {
+                title: 1, excerpt: 1, content: 1, category: 1, tags: 1,
+                authorId: 1, image: 1, publishedAt: 1, views: 1, likes: 1, score: 1
+              }
+            }
+          ],
+          total: [{ $count: "count" }],
+          categories: [
+            { $group: { _id: "$category", count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } }
+          ],
+          tags: [
+            { $unwind: "$tags" },
+            { $group: { _id: "$tags", count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+            { $limit: 20 }
+          ]
+        }
+      }
+    ]);
+
+    await Article.populate(result.results, { path: "authorId", select: "name email avatar" });
+
+    const totalResults = result.total[0]?.count || 0;
+
+    const results = result.results.map(({ content, ...article }) => ({
+      ...article,
+      highlights: {
+        title: highlight(article.title, parsed, 200),
+        snippet: highlight(content, parsed)
+      }
+    }));
+
+    res.status(200).json({
+      query: q,
+      currentPage: page,
+      totalPages: Math.ceil(totalResults / limit),
+      totalResults,
+      resultsPerPage: limit,
+      results,
+      facets: {
+        categories: result.categories.map(({ _id, count }) => ({ category: _id, count })),
+        tags: result.tags.map(({ _id, count }) => ({ tag: _id, count }))
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+}
@@ -0,0 +1,402 @@
+import Tag, { cleanTagList } from "../models/tag.js";
+import Article from "../models/articles.js";
+import User from "../models/user.js";
+import { paginate } from "../util/pagination.js";
+import { recordAudit } from "../util/audit.js";
+
+const TAG_SORTS = {
+  popular: { count: -1, _id: 1 },
+  name: { _id: 1 }
+};
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function validTagName(name) {
+  return typeof name === "string" && name.length >= 2 && name.length <= 30;
+}
+
+// Keep a Tag document only while it carries aliases or a block
+async function saveOrPrune(tag) {
+  if (!tag.blocked && tag.aliases.length === 0) {
+    if (!tag.isNew) await tag.deleteOne();
+    return null;
+  }
+  return tag.save();
+}
+
+// Replace every source tag with `target` on articles and followed tags, and
+// record the sources (and their aliases) as aliases of the target
+async function mergeTags(sources, target) {
+  const [targetTag, sourceTags] = await Promise.all([
+    Tag.findOne({ name: target }),
+    Tag.find({ name: { $in: sources } })
+  ]);
+
+  const canonical = targetTag || new Tag({ name: target });
+  canonical.aliases = [...new Set([
+    ...canonical.aliases,
+    ...sources,
+    ...sourceTags.flatMap(tag => tag.aliases)
+  ])].filter(alias => alias !== target);
+
+  // Save first: if the target fails validation, the sources stay intact
+  await saveOrPrune(canonical);
+  await Tag.deleteMany({ name: { $in: sources } });
+
+  const inSources = { $in: sources };
+  // $addToSet then $pull: one update can't touch the same array twice
+  await Article.updateMany({ tags: inSources }, { $addToSet: { tags: target } }, { timestamps: false });
+  const articles = await Article.updateMany(
+    { tags: inSources },
+    { $pull: { tags: inSources }, $set: { contentUpdatedAt: new Date() } },
+    { timestamps: false }
+  );
+  await User.updateMany({ followedTags: inSources }, { $addToSet: { followedTags: target } });
+  const users = await User.updateMany({ followedTags: inSources }, { $pull: { followedTags: inSources } });
+
+  return { tag: canonical, articlesUpdated: articles.modifiedCount, followersUpdated: users.modifiedCount };
+}
+
+// ✅ Tag directory: tags of published articles with usage counts
+// (?q= substring, ?sort=popular|name, ?page=&limit=)
+export async function getTags(req, res) {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const sort = TAG_SORTS[req.query.sort] || TAG_SORTS.popular;
+
+    const pipeline = [{ $match: { isPublished: true } }, { $unwind: "$tags" }];
+    if (req.query.q) {
+      pipeline.push({ $match: { tags: new RegExp(escapeRegex(req.query.q.trim().toLowerCase())) } });
+    }
+    pipeline.push(
+      { $group: { _id: "$tags", count: { $sum: 1 } } },
+      { $sort: sort },
+      { $facet: { page: [{ $skip: (page - 1) * limit }, { $limit: limit }], total: [{ $count: "count" }] } }
+    );
+
+    const [result] = await Article.aggregate(pipeline);
+    const total = result.total[0]?.count || 0;
+
+    res.status(200).json({
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalTags: total,
+      tagsPerPage: limit,
+      tags: result.page.map(({ _id, count }) => ({ name: _id, count }))
+    });
+  } catch (err) {
+    res.status(500).json({ message: "Error fetching tags", error: err.message });
+  }
+}
+
+// ✅ Tags starting with ?q=, most used first. Aliases suggest their
+// canonical tag; blocked tags are never suggested. ?limit= (default 10)
+export async function autocompleteTags(req, res) {
+  try {
+    const q = String(req.query.q || "").trim().toLowerCase();
+    if (!q) {
+      return res.status(400).json({ message: "Query parameter q is required" });
+    }
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    const prefix = new RegExp(`^${escapeRegex(q)}`);
+
+    const [used, managed] = await Promise.all([
+      Article.aggregate([
+        { $match: { tags: prefix } },
+        { $unwind: "$tags" },
+        { $match: { tags: prefix } },
+        { $group: { _id: "$tags", count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: limit * 2 }
+      ]),
+      Tag.find({ $or: [{ name: prefix }, { aliases: prefix }] }).limit(limit * 2)
+    ]);
+
+    const suggestions = new Map(used.map(({ _id, count }) => [_id, { name: _id, count }]));
+    const missing = [];
+    for (const tag of managed) {
+      if (tag.blocked) {
+        suggestions.delete(tag.name);
+        continue;
+      }
+      const alias = tag.aliases.find(name => prefix.test(name));
+      if (!suggestions.has(tag.name)) {
+        suggestions.set(tag.name, { name: tag.name, count: 0 });
+        missing.push(tag.name);
+      }
+      if (alias && !prefix.test(tag.name)) suggestions.get(tag.name).matchedAlias = alias;
+    }
+
+    // Canonical tags matched through an alias need their own counts
+    if (missing.length > 0) {
+      const counts = await Article.aggregate([
+        { $match: { tags: { $in: missing } } },
+        { $unwind: "$tags" },
+        { $match: { tags: { $in: missing } } },
+        { $group: { _id: "$tags", count: { $sum: 1 } } }
+      ]);
+      counts.forEach(({ _id, count }) => { suggestions.get(_id).count = count; });
+    }
+
+    res.status(200).json({
+      query: q,
+      suggestions: [...suggestions.values()]
+        .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+        .slice(0, limit)
+    });
+  } catch (err) {
+    res.status(500).json({ message: "Error fetching tag suggestions", error: err.message });
+  }
+}
+
+// ✅ A tag with its aliases, follower count and published articles
+// (?sort=, page or cursor paging as in the article list). Aliases redirect.
+export async function getTag(req, res) {
+  try {
+    const name = req.params.tag.trim().toLowerCase();
+    const managed = await Tag.findByNameOrAlias(name);
+
+    if (managed && managed.name !== name) {
+      const location = `${req.baseUrl}/${encodeURIComponent(managed.name)}`;
+      return res.status(301).location(location).json({
+        message: "Tag has been merged",
+        tag: managed.name,
+        location
+      });
+    }
+    if (managed?.blocked) {
+      return res.status(404).json({ message: "Tag not found" });
+    }
+
+    const [result, followerCount] = await Promise.all([
+      paginate(Article, { isPublished: true, tags: name }, {
+        sortKey: req.query.sort,
+        page: parseInt(req.query.page) || 1,
+        limit: Math.min(parseInt(req.query.limit) || 10, 100),
+        after: req.query.after,
+        before: req.query.before,
+        cursor: req.query.paginate === "cursor",
+        prepare: query => query.select("-rendered.html").populate("authorId", "name avatar")
+      }),
+      User.countDocuments({ followedTags: name })
+    ]);
+
+    // Unknown tags have no articles and no Tag document
+    if (!managed && result.mode === "page" && result.total === 0) {
+      return res.status(404).json({ message: "Tag not found" });
+    }
+
+    res.status(200).json({
+      name,
+      aliases: managed?.aliases || [],
+      followerCount,
+      ...(result.mode === "page"
+        ? { currentPage: result.currentPage, totalPages: result.totalPages, totalArticles: result.total }
+        : { prevCursor: result.prevCursor }),
+      articlesPerPage: result.limit,
+      nextCursor: result.nextCursor,
+      articles: result.items
+    });
+  } catch (err) {
+    if (err.name === "CursorError") {
+      return res.status(err.status).json({ message: err.message });
+    }
+    res.status(500).json({ message: "Error fetching tag", error: err.message });
+  }
+}
+
+// ✅ Merge tags into a canonical one: { sources: [...], target }.
+// Sources become aliases of the target and are replaced on every article.
+export async function mergeTagsInto(req, res) {
+  try {
+    const target = String(req.body.target || "").trim().toLowerCase();
+    const requested = cleanTagList(req.body.sources || []);
+
+    if (!validTagName(target)) {
+      return res.status(400).json({ message: "Target tag must be between 2 and 30 characters" });
+    }
+    if (requested.length === 0) {
+      return res.status(400).json({ message: "sources must list at least one tag" });
+    }
+    const invalid = requested.find(name => !validTagName(name));
+    if (invalid) {
+      return res.status(400).json({ message: `Source tag "${invalid}" must be between 2 and 30 characters` });
+    }
+
+    const targetOwner = await Tag.findByNameOrAlias(target);
+    if (targetOwner?.blocked) {
+      return res.status(400).json({ message: `#${target} is blocked` });
+    }
+
+    // Aliases given as sources stand for their canonical tag
+    const sources = [];
+    for (const name of requested) {
+      const managed = await Tag.findByNameOrAlias(name);
+      // Merging would delete the block and rewrite its articles' tags
+      if (managed?.blocked) {
+        return res.status(400).json({ message: `#${name} is blocked` });
+      }
+      sources.push(managed ? managed.name : name);
+    }
+    const unique = [...new Set(sources)].filter(name => name !== target);
+    if (unique.length === 0) {
+      return res.status(400).json({ message: "Nothing to merge: every source is already the target" });
+    }
+    if (targetOwner && targetOwner.name !== target && !unique.includes(targetOwner.name)) {
+      return res.status(409).json({
+        message: `#${target} is an alias of #${targetOwner.name}; merge into #${targetOwner.name} instead`
+      });
+    }
+
+    const result = await mergeTags(unique, target);
+    await recordAudit(req, "tag.merge", {
+      targetType: "tag",
+      targetId: result.tag._id,
+      details: { sources: unique, target, articlesUpdated: result.articlesUpdated }
+    });
+
+    res.status(200).json({
+      message: `Merged ${unique.map(name => `#${name}`).join(", ")} into #${target}`,
+      tag: { name: target, aliases: result.tag.aliases },
+      articlesUpdated: result.articlesUpdated,
+      followersUpdated: result.followersUpdated
+    });
+  } catch (err) {
+    if (err.name === "ValidationError") {
+      const errors = Object.values(err.errors).map(error => error.message);
+      return res.status(400).json({ message: "Validation error", errors });
+    }
+    res.status(500).json({ message: "Error merging tags", error: err.message });
+  }
+}
+
+// ✅ Rename a tag: { name }. The old name becomes an alias.
+export async function renameTag(req, res) {
+  try {
+    const current = req.params.tag.trim().toLowerCase();
+    const name = String(req.body.name || "").trim().toLowerCase();
+
+    if (!validTagName(name)) {
+      return res.status(400).json({ message: "Tag name must be between 2 and 30 characters" });
+    }
+    if (name === current) {
+      return res.status(400).json({ message: "The new name is the same as the current one" });
+    }
+
+    const managed = await Tag.findByNameOrAlias(current);
+    if (managed && managed.name !== current) {
+      return res.status(400).json({ message: `#${current} is an alias of #${managed.name}; rename #${managed.name} instead` });
+    }
+    if (managed?.blocked) {
+      return res.status(400).json({ message: `#${current} is blocked` });
+    }
+    const existing = await Tag.findByNameOrAlias(name);
+    if (existing && existing.name !== current) {
+      return res.status(409).json({ message: `#${name} is already a managed tag; merge into it instead` });
+    }
+
+    const result = await mergeTags([current], name);
+    await recordAudit(req, "tag.rename", {
+      targetType: "tag",
+      targetId: result.tag._id,
+      details: { from: current, to: name, articlesUpdated: result.articlesUpdated }
+    });
+
+    res.status(200).json({
+      message: `Renamed #${current} to #${name}`,
+      tag: { name, aliases: result.tag.aliases },
+      articlesUpdated: result.articlesUpdated,
+      followersUpdated: result.followersUpdated
+    });
+  } catch (err) {
+    res.status(500).json({ message: "Error renaming tag", error: err.message });
+  }
+}
+
+// ✅ Block a tag: { reason }. It is removed from articles and followers,
+// and articles can no longer use it.
+export async function blockTag(req, res) {
+  try {
+    const name = req.params.tag.trim().toLowerCase();
+    if (!validTagName(name)) {
+      return res.status(400).json({ message: "Tag must be between 2 and 30 characters" });
+    }
+
+    const managed = await Tag.findByNameOrAlias(name);
+    if (managed && managed.name !== name) {
+      return res.status(400).json({ message: `#${name} is an alias of #${managed.name}; block #${managed.name} instead` });
+    }
+
+    const tag = managed || new Tag({ name });
+    tag.blocked = true;
+    tag.blockedReason = req.body.reason || null;
+    await tag.save();
+
+    const articles = await Article.updateMany(
+      { tags: name },
+      { $pull: { tags: name }, $set: { contentUpdatedAt: new Date() } },
+      { timestamps: false }
+    );
+    await User.updateMany({ followedTags: name }, { $pull: { followedTags: name } });
+
+    await recordAudit(req, "tag.block", {
+      targetType: "tag",
+      targetId: tag._id,
+      details: { name, reason: tag.blockedReason, articlesUpdated: articles.modifiedCount }
+    });
+
+    res.status(200).json({ message: `#${name} is blocked`, tag, articlesUpdated: articles.modifiedCount });
+  } catch (err) {
+    if (err.name === "ValidationError") {
+      const errors = Object.values(err.errors).map(error => error.message);
+      return res.status(400).json({ message: "Validation error", errors });
+    }
+    res.status(500).json({ message: "Error blocking tag", error: err.message });
+  }
+}
+
+// ✅ Allow a blocked tag again (removed articles don't get it back)
+export async function unblockTag(req, res) {
+  try {
+    const name = req.params.tag.trim().toLowerCase();
+    const tag = await Tag.findOne({ name, blocked: true });
+    if (!tag) {
+      return res.status(404).json({ message: "Tag is not blocked" });
+    }
+
+    tag.blocked = false;
+    tag.blockedReason = null;
+    await saveOrPrune(tag);
+
+    await recordAudit(req, "tag.unblock", { targetType: "tag", targetId: tag._id, details: { name } });
+
+    res.status(200).json({ message: `#${name} is no longer blocked` });
+  } catch (err) {
+    res.status(500).json({ message: "Error unblocking tag", error: err.message });
+  }
+}
+
+// ✅ Stop rewriting an alias to its tag (articles already rewritten keep the tag)
+export async function removeTagAlias(req, res) {
+  try {
+    const name = req.params.tag.trim().toLowerCase();
+    const alias = req.params.alias.trim().toLowerCase();
+
+    const tag = await Tag.findOne({ name, aliases: alias });
+    if (!tag) {
+      return res.status(404).json({ message: `#${alias} is not an alias of #${name}` });
+    }
+
+    tag.aliases = tag.aliases.filter(existing => existing !== alias);
+    await saveOrPrune(tag);
+
+    await recordAudit(req, "tag.alias-remove", { targetType: "tag", targetId: tag._id, details: { name, alias } });
+
+    res.status(200).json({ message: `#${alias} is no longer an alias of #${name}`, aliases: tag.aliases });
+  } catch (err) {
+    res.status(500).json({ message: "Error removing alias", error: err.message });
+  }
+}
@@ -1,17 +1,86 @@
 import User from "../models/user.js";
+import Article from "../models/articles.js";
+import RefreshToken from "../models/refreshToken.js";
+import Follow from "../models/follow.js";
+import Notification from "../models/notification.js";
+import Bookmark from "../models/bookmark.js";
+import ReadingList from "../models/readingList.js";
 import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
+import { issueTokens, revokeAllSessions } from "../util/tokens.js";
+import { startEmailVerification } from "./authController.js";
+import { ROLES, PERMISSIONS, hasPermission, defaultRole } from "../util/permissions.js";
+import { recordAudit } from "../util/audit.js";
+import { lockoutRemaining, recordLoginFailure, clearLoginFailures } from "../util/loginGuard.js";
+
+// Compared against when the email is unknown, so both failure paths take as long
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync("dummy-password-for-timing", 10);
 
 // Get all users (Admin only)
+// Filters: ?role=, ?status=, ?q= (name/email), ?joinedFrom=&joinedTo=, ?minArticles=&maxArticles=
 export async function getAllUsers(req, res) {
   try {
-    const users = await User.find()
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+
+    if (req.query.role) {
+      filter.role = req.query.role;
+    }
+
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    if (req.query.q) {
+      const pattern = new RegExp(req.query.q.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
+      filter.$or = [{ name: pattern }, { email: pattern }];
+    }
+
+    // Signup date range
+    if (req.query.joinedFrom || req.query.joinedTo) {
+      filter.createdAt = {};
+      if (req.query.joinedFrom) filter.createdAt.$gte = new Date(req.query.joinedFrom);
+      if (req.query.joinedTo) filter.createdAt.$lte = new Date(req.query.joinedTo);
+      if (Object.values(filter.createdAt).some(date => isNaN(date))) {
+        return res.status(400).json({ message: "Invalid date in 'joinedFrom' or 'joinedTo'" });
+      }
+    }
+
+    // Article count lives in another collection, so filter on the authors' ids
+    const minArticles = parseInt(req.query.minArticles);
+    const maxArticles = parseInt(req.query.maxArticles);
+    if (!isNaN(minArticles) || !isNaN(maxArticles)) {
+      const counts = await Article.aggregate([
+        { $group: { _id: "$authorId", count: { $sum: 1 } } }
+      ]);
+      if (minArticles > 0) {
+        filter._id = {
+          $in: counts
+            .filter(({ count }) => count >= minArticles && (isNaN(maxArticles) || count <= maxArticles))
+            .map(({ _id }) => _id)
+        };
+      } else if (!isNaN(maxArticles)) {
+        // Users with no articles at all also match
+        filter._id = { $nin: counts.filter(({ count }) => count > maxArticles).map(({ _id }) => _id) };
+      }
+    }
+
+    const users = await User.find(filter)
       .select('-password')
       .populate('articleCount')
-      .sort({ createdAt: -1 });
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalUsers = await User.countDocuments(filter);
       
     res.status(200).json({
-      totalUsers: users.length,
+      currentPage: page,
+      totalPages: Math.ceil(totalUsers / limit),
+      totalUsers,
+      usersPerPage: limit,
       users
     });
   } catch (err) {
@@ -26,16 +95,30 @@ export async function getAllUsers(req, res) {
 export async function getUserById(req, res) {
   try {
     const { id } = req.params;
-    
+
+    // Moderation details are for the user themself and for user managers
+    const canSeeModeration = req.user &&
+      (req.user._id.toString() === id || hasPermission(req.user, "users:manage"));
+
     const user = await User.findById(id)
-      .select('-password')
+      .select(canSeeModeration ? '-password' : '-password -status -statusReason -suspendedUntil -mustResetPassword')
       .populate('articleCount');
 
     if (!user) {
       return res.status(404).json({ message: "User not found" });
     }
 
-    res.status(200).json(user);
+    const { followers, following } = await Follow.countsFor(user._id);
+    const isFollowing = req.user
+      ? Boolean(await Follow.exists({ followerId: req.user._id, followingId: user._id }))
+      : false;
+
+    res.status(200).json({
+      ...user.toJSON(),
+      followerCount: followers,
+      followingCount: following,
+      isFollowing
+    });
   } catch (err) {
     res.status(500).json({ 
       message: "Error fetching user",
@@ -47,7 +130,7 @@ export async function getUserById(req, res) {
 // Register new user
 export async function createNewUser(req, res) {
   try {
-    const { name, email, password, isAdmin } = req.body;
+    const { name, email, password, role } = req.body;
 
     // Validation
     if (!name || !email || !password) {
@@ -71,17 +154,15 @@ export async function createNewUser(req, res) {
       name,
       email,
       password: hashedPassword,
-      isAdmin: isAdmin || false,
+      // Only reader/author can be picked here; elevated roles are assigned by admins
+      role: defaultRole(role),
     });
 
     await newUser.save();
+    await startEmailVerification(newUser);
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: newUser._id },
-      process.env.SECRET_KEY,
-      { expiresIn: "7d" }
-    );
+    // Short-lived access token plus a refresh token for this session
+    const tokens = await issueTokens(newUser, req);
 
     res.status(201).json({
       message: "User registered successfully",
@@ -89,9 +170,11 @@ export async function createNewUser(req, res) {
         id: newUser._id,
         name: newUser.name,
         email: newUser.email,
+        emailVerified: newUser.emailVerified,
+        role: newUser.role,
         isAdmin: newUser.isAdmin
       },
-      token,
+      ...tokens,
     });
   } catch (error) {
     console.error("Error creating user:", error);
@@ -114,24 +197,43 @@ export async function login(req, res) {
       });
     }
 
-    // Find user
-    const foundUser = await User.findOne({ email });
-    if (!foundUser) {
-      return res.status(404).json({ message: "Invalid email or password" });
+    // Refuse while the account is locked after repeated failures
+    const lockedFor = await lockoutRemaining(email);
+    if (lockedFor > 0) {
+      res.set("Retry-After", String(lockedFor));
+      return res.status(429).json({
+        message: "Too many failed login attempts, please try again later",
+        retryAfter: lockedFor
+      });
     }
 
-    // Check password
-    const match = await bcrypt.compare(password, foundUser.password);
-    if (!match) {
+    // Find user and check password. An unknown email and a wrong password
+    // get the same answer so the endpoint can't be used to find accounts.
+    const foundUser = await User.findOne({ email: String(email).toLowerCase().trim() });
+    const match = await bcrypt.compare(password, foundUser ? foundUser.password : DUMMY_PASSWORD_HASH);
+    if (!foundUser || !match) {
+      const lockSeconds = await recordLoginFailure(email);
+      if (lockSeconds > 0) {
+        res.set("Retry-After", String(lockSeconds));
+      }
       return res.status(401).json({ message: "Invalid email or password" });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: foundUser._id },
-      process.env.SECRET_KEY,
-      { expiresIn: "7d" }
-    );
+    await clearLoginFailures(email);
+
+    const restriction = foundUser.accountRestriction();
+    if (restriction) {
+      return res.status(403).json(restriction);
+    }
+
+    if (foundUser.mustResetPassword) {
+      return res.status(403).json({
+        message: "A password reset is required. Use the link sent to your email or request a new one."
+      });
+    }
+
+    // Short-lived access token plus a refresh token for this session
+    const tokens = await issueTokens(foundUser, req);
 
     res.status(200).json({
       message: "Login successful",
@@ -139,11 +241,13 @@ export async function login(req, res) {
         id: foundUser._id,
         name: foundUser.name,
         email: foundUser.email,
+        emailVerified: foundUser.emailVerified,
+        role: foundUser.role,
         isAdmin: foundUser.isAdmin,
         avatar: foundUser.avatar,
         bio: foundUser.bio
       },
-      token,
+      ...tokens,
     });
   } catch (err) {
     res.status(500).json({ 
@@ -169,13 +273,17 @@ export async function updatePersonalInfo(req, res) {
     if (bio !== undefined) userDoc.bio = bio;
     if (avatar) userDoc.avatar = avatar;
     
-    // Check if email is being changed and if it's already taken
-    if (email && email !== userDoc.email) {
-      const emailExists = await User.findOne({ email });
+    // Check if email is being changed and if it's already taken.
+    // The new address only replaces the old one once it is verified.
+    let emailChangeRequested = false;
+    const newEmail = email ? String(email).toLowerCase().trim() : null;
+    if (newEmail && newEmail !== userDoc.email) {
+      const emailExists = await User.findOne({ email: newEmail });
       if (emailExists) {
         return res.status(400).json({ message: "Email already in use" });
       }
-      userDoc.email = email;
+      userDoc.pendingEmail = newEmail;
+      emailChangeRequested = true;
     }
 
     // Update social links
@@ -187,13 +295,19 @@ export async function updatePersonalInfo(req, res) {
     }
 
     const updatedUser = await userDoc.save();
+    if (emailChangeRequested) {
+      await startEmailVerification(updatedUser, updatedUser.pendingEmail);
+    }
 
     res.status(200).json({
-      message: "Profile updated successfully",
+      message: emailChangeRequested
+        ? `Profile updated successfully. Check ${updatedUser.pendingEmail} to confirm your new email address`
+        : "Profile updated successfully",
       user: {
         id: updatedUser._id,
         name: updatedUser.name,
         email: updatedUser.email,
+        pendingEmail: updatedUser.pendingEmail,
         bio: updatedUser.bio,
         avatar: updatedUser.avatar,
         socialLinks: updatedUser.socialLinks
@@ -243,8 +357,14 @@ export async function changePassword(req, res) {
     user.password = await bcrypt.hash(newPassword, saltRounds);
     await user.save();
 
+    // A changed password ends every session; this client gets a fresh one
+    await revokeAllSessions(user, "password-change");
+    const tokens = await issueTokens(user, req);
+    await recordAudit(req, "user.password-change", { targetId: user._id });
+
     res.status(200).json({
-      message: "Password changed successfully"
+      message: "Password changed successfully, other sessions have been logged out",
+      ...tokens
     });
   } catch (err) {
     res.status(500).json({ 
@@ -260,17 +380,42 @@ export async function deleteUser(req, res) {
     const { id } = req.params;
 
     // Check if user is deleting their own account or is admin
-    if (req.user._id.toString() !== id && !req.user.isAdmin) {
+    if (req.user._id.toString() !== id && !hasPermission(req.user, "users:delete-any")) {
       return res.status(403).json({ 
         message: "Not authorized to delete this user" 
       });
     }
 
+    const user = await User.findById(id).select("role");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    // Never leave the site without an admin
+    if (user.role === "admin") {
+      const admins = await User.countDocuments({ role: "admin" });
+      if (admins <= 1) {
+        return res.status(400).json({ message: "Cannot delete the last admin" });
+      }
+    }
+
     const deletedUser = await User.findByIdAndDelete(id);
     if (!deletedUser) {
       return res.status(404).json({ message: "User not found" });
     }
 
+    // Deleted accounts keep no sessions
+    await RefreshToken.deleteMany({ userId: deletedUser._id });
+    // ...and nobody keeps following them
+    await Follow.deleteMany({ $or: [{ followerId: deletedUser._id }, { followingId: deletedUser._id }] });
+    await Notification.deleteMany({ recipientId: deletedUser._id });
+    await Bookmark.deleteMany({ userId: deletedUser._id });
+    await ReadingList.deleteMany({ ownerId: deletedUser._id });
+    await recordAudit(req, "user.delete", {
+      targetId: deletedUser._id,
+      details: { email: deletedUser.email, self: req.user._id.toString() === id }
+    });
+
     res.status(200).json({ 
       message: "User deleted successfully" 
     });
@@ -280,4 +425,64 @@ export async function deleteUser(req, res) {
       error: err.message 
     });
   }
-}
\ No newline at end of file
+}
+
+// ✅ List roles and their permissions (Admin only)
+export function getRoles(req, res) {
+  res.status(200).json({
+    roles: ROLES.map(role => ({
+      role,
+      permissions: [...PERMISSIONS[role]]
+    }))
+  });
+}
+
+// ✅ Assign a role to a user (Admin only)
+export async function assignRole(req, res) {
+  try {
+    const { id } = req.params;
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        message: `Role must be one of: ${ROLES.join(", ")}`
+      });
+    }
+
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    // Never leave the site without an admin
+    if (user.role === "admin" && role !== "admin") {
+      const admins = await User.countDocuments({ role: "admin" });
+      if (admins <= 1) {
+        return res.status(400).json({ message: "Cannot remove the last admin" });
+      }
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+    await recordAudit(req, "user.role-change", {
+      targetId: user._id,
+      details: { from: previousRole, to: role }
+    });
+
+    res.status(200).json({
+      message: `Role changed from ${previousRole} to ${role}`,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ 
+      message: "Error assigning role",
+      error: err.message 
+    });
+  }
+}
@@ -0,0 +1,106 @@
+import { getRateLimitStore } from "../util/rateLimitStore.js";
+
+const MINUTE = 60 * 1000;
+
+// Read a limit from the environment: RATE_LIMIT_<NAME>_MAX / _WINDOW_MINUTES
+function fromEnv(name, max, windowMinutes) {
+  const prefix = `RATE_LIMIT_${name.toUpperCase().replace(/-/g, "_")}`;
+  return {
+    max: parseInt(process.env[`${prefix}_MAX`]) || max,
+    windowMs: (parseInt(process.env[`${prefix}_WINDOW_MINUTES`]) || windowMinutes) * MINUTE
+  };
+}
+
+// Generic fixed-window limiter. `key` picks what is counted (IP, user, email);
+// requests without a key are not limited. Sends the RateLimit-* headers and
+// Retry-After when the limit is hit. If the store fails, requests go through.
+export function rateLimit({ name, max, windowMinutes, key = req => req.ip, message }) {
+  return async (req, res, next) => {
+    const { max: limit, windowMs } = fromEnv(name, max, windowMinutes);
+    const id = key(req);
+    if (!id) return next();
+
+    let result;
+    try {
+      result = await getRateLimitStore().increment(`${name}:${id}`, windowMs);
+    } catch (err) {
+      console.error(`❌ Rate limiter "${name}" failed:`, err.message);
+      return next();
+    }
+
+    const resetSeconds = Math.max(0, Math.ceil((result.resetAt.getTime() - Date.now()) / 1000));
+    res.set("RateLimit-Policy", `${limit};w=${Math.round(windowMs / 1000)}`);
+    res.set("RateLimit-Limit", String(limit));
+    res.set("RateLimit-Remaining", String(Math.max(0, limit - result.count)));
+    res.set("RateLimit-Reset", String(resetSeconds));
+
+    if (result.count > limit) {
+      res.set("Retry-After", String(resetSeconds));
+      return res.status(429).json({
+        message: message || "Too many requests, please try again later",
+        retryAfter: resetSeconds
+      });
+    }
+
+    next();
+  };
+}
+
+const byIp = req => req.ip;
+const byEmail = req => (typeof req.body?.email === "string" ? req.body.email.toLowerCase().trim() : null);
+const byUser = req => req.user?._id?.toString();
+
+// ============================================
+// LIMITERS
+// ============================================
+
+export const loginIpLimiter = rateLimit({
+  name: "login-ip", max: 20, windowMinutes: 15, key: byIp,
+  message: "Too many login attempts from this address, please try again later"
+});
+
+export const loginAccountLimiter = rateLimit({
+  name: "login-account", max: 10, windowMinutes: 15, key: byEmail,
+  message: "Too many login attempts for this account, please try again later"
+});
+
+export const registerIpLimiter = rateLimit({
+  name: "register-ip", max: 5, windowMinutes: 60, key: byIp,
+  message: "Too many accounts created from this address, please try again later"
+});
+
+export const registerAccountLimiter = rateLimit({
+  name: "register-account", max: 3, windowMinutes: 60, key: byEmail,
+  message: "Too many registration attempts for this email, please try again later"
+});
+
+export const passwordResetLimiter = rateLimit({
+  name: "password-reset", max: 5, windowMinutes: 60, key: req => byEmail(req) || byIp(req),
+  message: "Too many password reset requests, please try again later"
+});
+
+// Per-user limits, mount after protect
+export const createArticleLimiter = rateLimit({
+  name: "create-article", max: 10, windowMinutes: 60, key: byUser,
+  message: "You are creating articles too quickly, please try again later"
+});
+
+export const mediaUploadLimiter = rateLimit({
+  name: "media-upload", max: 30, windowMinutes: 60, key: byUser,
+  message: "You are uploading media too quickly, please try again later"
+});
+
+export const followLimiter = rateLimit({
+  name: "follow", max: 60, windowMinutes: 1, key: byUser,
+  message: "Too many follow requests, please slow down"
+});
+
+export const commentLimiter = rateLimit({
+  name: "comment", max: 10, windowMinutes: 1, key: byUser,
+  message: "You are commenting too quickly, please slow down"
+});
+
+export const likeLimiter = rateLimit({
+  name: "like", max: 60, windowMinutes: 1, key: byUser,
+  message: "Too many likes, please slow down"
+});
@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import Article from "../models/articles.js";
+
+// Generates slugs for articles created before slugs existed.
+// Usage: node migrations/addArticleSlugs.js
+
+dotenv.config();
+
+const MONGO_URI = process.env.MONGO_URI;
+
+async function addSlugs() {
+  try {
+    if (!MONGO_URI) {
+      console.error("❌ MONGO_URI is not defined in .env file");
+      process.exit(1);
+    }
+
+    console.log("🔗 Connecting to MongoDB...");
+    await mongoose.connect(MONGO_URI);
+    console.log("✅ Connected to MongoDB");
+
+    // Saving runs the slug hook, which picks a unique slug from the title
+    let updated = 0;
+    for await (const article of Article.find({ slug: { $in: [null, ""] } })) {
+      await article.save();
+      updated += 1;
+    }
+
+    console.log(`✅ Added slugs to ${updated} articles.`);
+  } catch (error) {
+    console.error("❌ Error adding slugs:", error.message);
+  } finally {
+    await mongoose.connection.close();
+    console.log("🔌 Database connection closed");
+  }
+}
+
+addSlugs();
@@ -0,0 +1,46 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import User from "../models/user.js";
+
+// Replaces the old isAdmin flag with roles: admins become "admin",
+// everyone else "author" (they could all write articles before).
+// Usage: node migrations/assignUserRoles.js
+
+dotenv.config();
+
+const MONGO_URI = process.env.MONGO_URI;
+
+async function assignRoles() {
+  try {
+    if (!MONGO_URI) {
+      console.error("❌ MONGO_URI is not defined in .env file");
+      process.exit(1);
+    }
+
+    console.log("🔗 Connecting to MongoDB...");
+    await mongoose.connect(MONGO_URI);
+    console.log("✅ Connected to MongoDB");
+
+    // isAdmin is no longer in the schema, so work on the raw collection
+    // Keyed on isAdmin alone: admins saved since the deploy already have
+    // the schema default role "author" persisted
+    const admins = await User.collection.updateMany(
+      { isAdmin: true },
+      { $set: { role: "admin" } }
+    );
+    const authors = await User.collection.updateMany(
+      { role: { $exists: false } },
+      { $set: { role: "author" } }
+    );
+    await User.collection.updateMany({ isAdmin: { $exists: true } }, { $unset: { isAdmin: "" } });
+
+    console.log(`✅ Assigned admin to ${admins.modifiedCount} and author to ${authors.modifiedCount} users.`);
+  } catch (error) {
+    console.error("❌ Error assigning roles:", error.message);
+  } finally {
+    await mongoose.connection.close();
+    console.log("🔌 Database connection closed");
+  }
+}
+
+assignRoles();
@@ -0,0 +1,42 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import Article from "../models/articles.js";
+import { TRENDING_WINDOWS } from "../util/trending.js";
+
+// Articles stored before trending scores existed have no `trending` field,
+// and cursor pages sorted by a trending score never reach a missing value.
+// Sets every missing score to 0; the scheduler fills in the real ones.
+// Usage: node migrations/backfillTrendingScores.js
+
+dotenv.config();
+
+const MONGO_URI = process.env.MONGO_URI;
+
+async function backfillTrendingScores() {
+  try {
+    if (!MONGO_URI) {
+      console.error("❌ MONGO_URI is not defined in .env file");
+      process.exit(1);
+    }
+
+    console.log("🔗 Connecting to MongoDB...");
+    await mongoose.connect(MONGO_URI);
+    console.log("✅ Connected to MongoDB");
+
+    // Work on the raw collection so no hooks run and updatedAt stays put
+    for (const window of Object.keys(TRENDING_WINDOWS)) {
+      const result = await Article.collection.updateMany(
+        { [`trending.${window}`]: { $exists: false } },
+        { $set: { [`trending.${window}`]: 0 } }
+      );
+      console.log(`✅ Set trending.${window} on ${result.modifiedCount} articles.`);
+    }
+  } catch (error) {
+    console.error("❌ Error backfilling trending scores:", error.message);
+  } finally {
+    await mongoose.connection.close();
+    console.log("🔌 Database connection closed");
+  }
+}
+
+backfillTrendingScores();
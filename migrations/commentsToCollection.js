@@ -0,0 +1,79 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import Article from "../models/articles.js";
+import Comment from "../models/comment.js";
+
+// Moves comments embedded in article documents into the comments collection.
+// Safe to run more than once: embedded comments keep their _id.
+// Usage: node migrations/commentsToCollection.js
+
+dotenv.config();
+
+const MONGO_URI = process.env.MONGO_URI;
+
+async function migrateComments() {
+  try {
+    if (!MONGO_URI) {
+      console.error("❌ MONGO_URI is not defined in .env file");
+      process.exit(1);
+    }
+
+    console.log("🔗 Connecting to MongoDB...");
+    await mongoose.connect(MONGO_URI);
+    console.log("✅ Connected to MongoDB");
+
+    // Embedded comments are no longer in the schema, so read the raw collection
+    const cursor = Article.collection.find({ comments: { $exists: true } });
+    let articles = 0;
+    let moved = 0;
+
+    for await (const raw of cursor) {
+      const embedded = raw.comments || [];
+
+      if (embedded.length > 0) {
+        const docs = embedded.map(c => ({
+          _id: c._id,
+          articleId: raw._id,
+          userId: c.userId,
+          parentId: null,
+          text: c.text,
+          createdAt: c.createdAt || raw.createdAt,
+          updatedAt: c.createdAt || raw.createdAt
+        }));
+
+        try {
+          const result = await Comment.insertMany(docs, { ordered: false, throwOnValidationError: true });
+          moved += result.length;
+        } catch (err) {
+          // Duplicate keys mean the comment was moved by an earlier run;
+          // any other failure stops the migration before anything is removed
+          const duplicatesOnly = err.code === 11000 ||
+            (err.writeErrors?.length > 0 && err.writeErrors.every(writeError => writeError.code === 11000));
+          if (!duplicatesOnly) throw err;
+          moved += err.insertedDocs?.length || 0;
+        }
+      }
+
+      const commentCount = await Comment.countDocuments({ articleId: raw._id });
+      // Keep the embedded comments until every one of them is in the collection
+      if (commentCount < embedded.length) {
+        console.warn(`⚠️ Article ${raw._id}: ${commentCount} of ${embedded.length} comments moved, keeping the embedded ones`);
+        continue;
+      }
+      await Article.collection.updateOne(
+        { _id: raw._id },
+        { $set: { commentCount }, $unset: { comments: "" } }
+      );
+      articles += 1;
+    }
+
+    console.log(`✅ Migrated ${moved} comments from ${articles} articles.`);
+  } catch (error) {
+    console.error("❌ Error migrating comments:", error.message);
+  } finally {
+    await mongoose.connection.close();
+    console.log("🔌 Database connection closed");
+  }
+}
+
+migrateComments();
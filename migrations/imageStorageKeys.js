@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import Article from "../models/articles.js";
+
+// Moves article images from the Cloudinary-only fields (cloudinaryUrl,
+// cloudinaryId) to the storage-driver fields (provider, key, url).
+// Usage: node migrations/imageStorageKeys.js
+
+dotenv.config();
+
+const MONGO_URI = process.env.MONGO_URI;
+
+async function migrateImages() {
+  try {
+    if (!MONGO_URI) {
+      console.error("❌ MONGO_URI is not defined in .env file");
+      process.exit(1);
+    }
+
+    console.log("🔗 Connecting to MongoDB...");
+    await mongoose.connect(MONGO_URI);
+    console.log("✅ Connected to MongoDB");
+
+    // The old fields are no longer in the schema, so work on the raw collection
+    const result = await Article.collection.updateMany(
+      { "image.cloudinaryId": { $exists: true } },
+      [
+        {
+          $set: {
+            "image.provider": "cloudinary",
+            "image.key": "$image.cloudinaryId",
+            "image.url": "$image.cloudinaryUrl"
+          }
+        },
+        { $unset: ["image.cloudinaryId", "image.cloudinaryUrl"] }
+      ]
+    );
+
+    console.log(`✅ Migrated the image of ${result.modifiedCount} articles.`);
+  } catch (error) {
+    console.error("❌ Error migrating images:", error.message);
+  } finally {
+    await mongoose.connection.close();
+    console.log("🔌 Database connection closed");
+  }
+}
+
+migrateImages();
@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import Article from "../models/articles.js";
+
+// Renders the content of articles stored before server-side rendering existed.
+// Their content is treated as markdown, which also passes plain text through.
+// Usage: node migrations/renderArticleContent.js
+
+dotenv.config();
+
+const MONGO_URI = process.env.MONGO_URI;
+
+async function renderContent() {
+  try {
+    if (!MONGO_URI) {
+      console.error("❌ MONGO_URI is not defined in .env file");
+      process.exit(1);
+    }
+
+    console.log("🔗 Connecting to MongoDB...");
+    await mongoose.connect(MONGO_URI);
+    console.log("✅ Connected to MongoDB");
+
+    // Saving runs the render hook, which fills in `rendered`
+    let updated = 0;
+    for await (const article of Article.find({ "rendered.html": { $exists: false } })) {
+      await article.save();
+      updated += 1;
+    }
+
+    console.log(`✅ Rendered the content of ${updated} articles.`);
+  } catch (error) {
+    console.error("❌ Error rendering content:", error.message);
+  } finally {
+    await mongoose.connection.close();
+    console.log("🔌 Database connection closed");
+  }
+}
+
+renderContent();
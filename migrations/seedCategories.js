@@ -0,0 +1,55 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import Category from "../models/category.js";
+import Article from "../models/articles.js";
+
+// Categories used to be a fixed list in the article schema. Creates a
+// Category for each of those and for any other name already used by an
+// article, so existing articles keep validating. Safe to run again.
+// Usage: node migrations/seedCategories.js
+
+dotenv.config();
+
+const MONGO_URI = process.env.MONGO_URI;
+
+const FORMER_CATEGORIES = ["Technology", "Programming", "Design", "Business", "Lifestyle", "Education"];
+
+async function seedCategories() {
+  try {
+    if (!MONGO_URI) {
+      console.error("❌ MONGO_URI is not defined in .env file");
+      process.exit(1);
+    }
+
+    console.log("🔗 Connecting to MongoDB...");
+    await mongoose.connect(MONGO_URI);
+    console.log("✅ Connected to MongoDB");
+
+    const used = await Article.collection.distinct("category");
+    const names = [...new Set([...FORMER_CATEGORIES, ...used.filter(name => typeof name === "string" && name.trim())])];
+
+    let created = 0;
+    let renamed = 0;
+    for (const [order, name] of names.entries()) {
+      let category = await Category.findByName(name);
+      if (!category) {
+        category = await Category.create({ name: name.trim(), order });
+        created++;
+      }
+      // "technology" and "Technology" end up as one category
+      if (category.name !== name) {
+        const result = await Article.collection.updateMany({ category: name }, { $set: { category: category.name } });
+        renamed += result.modifiedCount;
+      }
+    }
+
+    console.log(`✅ Created ${created} categories (${names.length - created} already existed), renamed the category of ${renamed} articles.`);
+  } catch (error) {
+    console.error("❌ Error seeding categories:", error.message);
+  } finally {
+    await mongoose.connection.close();
+    console.log("🔌 Database connection closed");
+  }
+}
+
+seedCategories();
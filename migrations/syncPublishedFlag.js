@@ -0,0 +1,49 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import Article from "../models/articles.js";
+
+// isPublished used to default to true whatever the status said, so older
+// drafts are still listed publicly. Sets isPublished from status, the way
+// the publishing hook does on save. Articles without a status get the old
+// default, "published".
+// Usage: node migrations/syncPublishedFlag.js
+
+dotenv.config();
+
+const MONGO_URI = process.env.MONGO_URI;
+
+async function syncPublishedFlag() {
+  try {
+    if (!MONGO_URI) {
+      console.error("❌ MONGO_URI is not defined in .env file");
+      process.exit(1);
+    }
+
+    console.log("🔗 Connecting to MongoDB...");
+    await mongoose.connect(MONGO_URI);
+    console.log("✅ Connected to MongoDB");
+
+    // Work on the raw collection so no hooks run and updatedAt stays put
+    const missingStatus = await Article.collection.updateMany(
+      { status: { $exists: false } },
+      { $set: { status: "published" } }
+    );
+    const hidden = await Article.collection.updateMany(
+      { status: { $ne: "published" }, isPublished: { $ne: false } },
+      { $set: { isPublished: false } }
+    );
+    const shown = await Article.collection.updateMany(
+      { status: "published", isPublished: { $ne: true } },
+      { $set: { isPublished: true } }
+    );
+
+    console.log(`✅ Set a status on ${missingStatus.modifiedCount} articles, unpublished ${hidden.modifiedCount} and published ${shown.modifiedCount}.`);
+  } catch (error) {
+    console.error("❌ Error syncing isPublished:", error.message);
+  } finally {
+    await mongoose.connection.close();
+    console.log("🔌 Database connection closed");
+  }
+}
+
+syncPublishedFlag();
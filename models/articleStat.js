@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+
+// Daily analytics bucket for one article
+const articleStatSchema = new mongoose.Schema(
+  {
+    articleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Article",
+      required: true
+    },
+
+    // Copied from the article so an author's dashboard needs no join
+    authorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true
+    },
+
+    // UTC midnight
+    day: {
+      type: Date,
+      required: true
+    },
+
+    views: { type: Number, default: 0 },
+    uniqueReaders: { type: Number, default: 0 },
+    likes: { type: Number, default: 0 },
+    comments: { type: Number, default: 0 },
+
+    // Views by referring site ("direct", "internal" or a host name). A
+    // source can appear twice after concurrent first views; readers sum them.
+    referrers: [{
+      _id: false,
+      source: String,
+      count: { type: Number, default: 0 }
+    }]
+  }
+);
+
+articleStatSchema.index({ articleId: 1, day: 1 }, { unique: true });
+articleStatSchema.index({ authorId: 1, day: 1 });
+
+export default mongoose.model("ArticleStat", articleStatSchema);
@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+
+// Raw view events, used to count each visitor once per time window.
+// Totals live in ArticleStat; events are only kept for a few days.
+const articleViewSchema = new mongoose.Schema(
+  {
+    articleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Article",
+      required: true
+    },
+
+    // "u:<userId>" for signed-in readers, "a:<hash of IP and user agent>" otherwise
+    visitorKey: {
+      type: String,
+      required: true
+    },
+
+    // Index of the dedup window since the epoch
+    window: {
+      type: Number,
+      required: true
+    },
+
+    // UTC midnight of the view, for unique readers per day
+    day: {
+      type: Date,
+      required: true
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+// One view per visitor per window
+articleViewSchema.index({ articleId: 1, visitorKey: 1, window: 1 }, { unique: true });
+// Events are removed by MongoDB after a week
+articleViewSchema.index({ createdAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+export default mongoose.model("ArticleView", articleViewSchema);
@@ -1,4 +1,21 @@
 import mongoose from "mongoose";
+import { slugify } from "../util/slugify.js";
+import { hasPermission } from "../util/permissions.js";
+import { storedImageFields } from "./media.js";
+import Category from "./category.js";
+import Tag from "./tag.js";
+import { CONTENT_FORMATS, renderContent } from "../util/content.js";
+import { notifyFollowersOfArticle } from "../util/notifications.js";
+
+// A heading in the table of contents of the rendered content
+const tocEntrySchema = new mongoose.Schema(
+  {
+    level: Number,
+    text: String,
+    anchor: String
+  },
+  { _id: false }
+);
 
 const articleSchema = new mongoose.Schema(
   {
@@ -9,12 +26,54 @@ const articleSchema = new mongoose.Schema(
       minlength: [5, "Title must be at least 5 characters"],
       maxlength: [200, "Title cannot exceed 200 characters"]
     },
+
+    // URL-friendly identifier, generated from the title unless set by the author
+    slug: {
+      type: String,
+      unique: true,
+      sparse: true,
+      trim: true,
+      lowercase: true,
+      maxlength: [80, "Slug cannot exceed 80 characters"],
+      match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, "Slug may only contain lowercase letters, numbers and dashes"]
+    },
+
+    // True when the slug was chosen by hand, so title changes keep it
+    customSlug: {
+      type: Boolean,
+      default: false
+    },
+
+    // Previous slugs, answered with a redirect to the current one
+    slugHistory: {
+      type: [String],
+      index: true
+    },
     
     content: {
       type: String,
       required: [true, "Content is required"],
       minlength: [20, "Content must be at least 20 characters"]
     },
+
+    // How `content` is written; it is rendered server-side into `rendered`
+    contentFormat: {
+      type: String,
+      enum: {
+        values: CONTENT_FORMATS,
+        message: "{VALUE} is not a valid content format"
+      },
+      default: "markdown"
+    },
+
+    // Sanitized HTML, table of contents and text statistics, rebuilt
+    // whenever the content changes. Clients should display this, not `content`.
+    rendered: {
+      html: String,
+      toc: [tocEntrySchema],
+      wordCount: Number,
+      characterCount: Number
+    },
     
     excerpt: {
       type: String,
@@ -22,13 +81,11 @@ const articleSchema = new mongoose.Schema(
       maxlength: [500, "Excerpt cannot exceed 500 characters"]
     },
     
+    // Name of a Category; checked against the collection on save
     category: {
       type: String,
       required: [true, "Category is required"],
-      enum: {
-        values: ["Technology", "Programming", "Design", "Business", "Lifestyle", "Education"],
-        message: "Category must be one of: Technology, Programming, Design, Business, Lifestyle, Education"
-      }
+      trim: true
     },
     
     tags: [{
@@ -49,12 +106,28 @@ const articleSchema = new mongoose.Schema(
     status: {
       type: String,
       enum: {
-        values: ["draft", "published"],
-        message: "Status must be either 'draft' or 'published'"
+        values: ["draft", "scheduled", "published", "archived"],
+        message: "Status must be one of: draft, scheduled, published, archived"
       },
       default: "published",
       index: true
     },
+
+    // When a scheduled article should go live
+    scheduledFor: {
+      type: Date,
+      default: null,
+      required: [
+        function() { return this.status === "scheduled"; },
+        "scheduledFor is required for scheduled articles"
+      ]
+    },
+
+    // Optional embargo end: the article is taken down after this time
+    unpublishAt: {
+      type: Date,
+      default: null
+    },
     
     views: {
       type: Number,
@@ -72,37 +145,67 @@ const articleSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: "User"
     }],
+
+    // Time-decayed popularity per window, recomputed by the scheduler
+    // (see util/trending.js)
+    trending: {
+      "24h": { type: Number, default: 0 },
+      "7d": { type: Number, default: 0 },
+      "30d": { type: Number, default: 0 },
+      computedAt: { type: Date, default: null }
+    },
     
-    comments: [{
-      userId: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: "User",
-        required: true
-      },
-      text: {
-        type: String,
-        required: true,
-        maxlength: [1000, "Comment cannot exceed 1000 characters"]
-      },
-      createdAt: {
-        type: Date,
-        default: Date.now
-      }
-    }],
+    commentsEnabled: {
+      type: Boolean,
+      default: true
+    },
+
+    // Hold new comments for approval; null follows the site-wide setting
+    moderateComments: {
+      type: Boolean,
+      default: null
+    },
+
+    // Comments live in their own collection; this is kept in sync by the comment controller
+    commentCount: {
+      type: Number,
+      default: 0,
+      min: [0, "Comment count cannot be negative"]
+    },
     
     isPublished: {
       type: Boolean,
       default: true,
       index: true
     },
+    // Banner image. Uploads are stripped of metadata and resized into
+    // variants (util/images.js); `mediaId` is set when the banner comes from
+    // the media library, in which case the library owns the files.
     image: {
-    originalName: { type: String, required: true },
-    cloudinaryUrl: { type: String, required: true },
-    cloudinaryId: { type: String, required: true }
-  },
+      ...storedImageFields(),
+      mediaId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Media",
+        default: null,
+        index: true
+      }
+    },
+    // Library items used in the body of the article
+    media: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Media",
+      index: true
+    }],
     publishedAt: {
       type: Date,
       default: null
+    },
+    // Last change readers of the feeds can see: an edit to a published
+    // article, or publishing or unpublishing it. Unlike updatedAt, likes,
+    // comments and views leave it alone.
+    contentUpdatedAt: {
+      type: Date,
+      default: null
     }
   },
   {
@@ -125,6 +228,22 @@ articleSchema.index({ tags: 1 });
 articleSchema.index({ status: 1 });
 articleSchema.index({ isPublished: 1 });
 
+// Latest change per feed (Last-Modified)
+articleSchema.index({ contentUpdatedAt: -1 });
+
+// Public listings for each cursor sort mode (ties broken on _id)
+articleSchema.index({ isPublished: 1, createdAt: -1, _id: -1 });
+articleSchema.index({ isPublished: 1, views: -1, _id: -1 });
+articleSchema.index({ isPublished: 1, likes: -1, _id: -1 });
+articleSchema.index({ isPublished: 1, title: 1, _id: 1 });
+articleSchema.index({ isPublished: 1, "trending.24h": -1, _id: -1 });
+articleSchema.index({ isPublished: 1, "trending.7d": -1, _id: -1 });
+articleSchema.index({ isPublished: 1, "trending.30d": -1, _id: -1 });
+
+// Lookups used by the publishing scheduler
+articleSchema.index({ status: 1, scheduledFor: 1 });
+articleSchema.index({ status: 1, unpublishAt: 1 });
+
 // Text index for full-text search
 articleSchema.index({ title: "text", content: "text", excerpt: "text" });
 
@@ -134,12 +253,14 @@ articleSchema.index({ title: "text", content: "text", excerpt: "text" });
 
 // Word count
 articleSchema.virtual("wordCount").get(function() {
+  if (this.rendered?.wordCount !== undefined) return this.rendered.wordCount;
   if (!this.content) return 0;
   return this.content.trim().split(/\s+/).filter(word => word.length > 0).length;
 });
 
 // Character count
 articleSchema.virtual("characterCount").get(function() {
+  if (this.rendered?.characterCount !== undefined) return this.rendered.characterCount;
   return this.content ? this.content.length : 0;
 });
 
@@ -150,11 +271,6 @@ articleSchema.virtual("readingTime").get(function() {
   return `${readingTimeMinutes} min read`;
 });
 
-// Comment count
-articleSchema.virtual("commentCount").get(function() {
-  return this.comments ? this.comments.length : 0;
-});
-
 // Is liked by user (helper for frontend)
 articleSchema.virtual("isLikedByUser").get(function(userId) {
   if (!userId || !this.likedBy) return false;
@@ -165,10 +281,120 @@ articleSchema.virtual("isLikedByUser").get(function(userId) {
 // MIDDLEWARE
 // ============================================
 
-// Set publishedAt timestamp when article is published
+// Remember the stored slug so a change can be recorded in slugHistory
+articleSchema.post("init", function() {
+  this.$locals.originalSlug = this.slug;
+});
+
+// Generate a unique slug from the title, or validate a hand-picked one
+articleSchema.pre("validate", async function() {
+  const slugChanged = this.isModified("slug") && this.slug;
+  const needsSlug = !this.slug || (this.isModified("title") && !this.customSlug);
+  if (!slugChanged && !needsSlug) return;
+
+  const Article = this.constructor;
+  const isTaken = slug => Article.exists({
+    _id: { $ne: this._id },
+    $or: [{ slug }, { slugHistory: slug }]
+  });
+
+  if (slugChanged && this.customSlug) {
+    this.slug = slugify(this.slug);
+    if (!this.slug) {
+      this.invalidate("slug", "Slug must contain at least one letter or number");
+      return;
+    }
+    if (await isTaken(this.slug)) {
+      this.invalidate("slug", "Slug is already in use");
+      return;
+    }
+  } else {
+    const base = slugify(this.title) || "article";
+    let candidate = base;
+    for (let n = 2; await isTaken(candidate); n++) {
+      candidate = `${base.slice(0, 75)}-${n}`;
+    }
+    this.slug = candidate;
+  }
+
+  const previous = this.$locals.originalSlug;
+  if (previous && previous !== this.slug && !this.slugHistory.includes(previous)) {
+    this.slugHistory.push(previous);
+  }
+  // Going back to an old slug makes it current again
+  this.slugHistory = this.slugHistory.filter(slug => slug !== this.slug);
+});
+
+articleSchema.post("save", function() {
+  this.$locals.originalSlug = this.slug;
+});
+
+articleSchema.post("save", function() {
+  if (!this.$locals.firstPublished) return;
+  this.$locals.firstPublished = false;
+  notifyFollowersOfArticle(this);
+});
+
+// Categories are matched by name in any case or by slug, and stored under
+// their current name
+articleSchema.pre("validate", async function() {
+  if (!this.category || !this.isModified("category")) return;
+  const category = await Category.findByName(this.category);
+  if (category) {
+    this.category = category.name;
+  } else {
+    this.invalidate("category", `Unknown category "${this.category}"`, this.category);
+  }
+});
+
+// Tags go through the alias table; blocked tags are refused
+articleSchema.pre("validate", async function() {
+  if (!this.isModified("tags") || this.tags.length === 0) return;
+  const { tags, blocked } = await Tag.canonicalize(this.tags);
+  if (blocked.length > 0) {
+    this.invalidate("tags", `Tag not allowed: ${blocked.join(", ")}`, blocked);
+  } else {
+    this.tags = tags;
+  }
+});
+
+// Render the content when it changes, and for articles stored before rendering existed
+articleSchema.pre("validate", function() {
+  const stale = this.isModified("content") || this.isModified("contentFormat") || this.rendered?.html === undefined;
+  if (stale && typeof this.content === "string") {
+    this.rendered = renderContent(this.content, this.contentFormat);
+  }
+});
+
+// Fields shown in the feeds; editing them moves contentUpdatedAt
+const FEED_FIELDS = ["title", "slug", "content", "contentFormat", "excerpt", "category", "tags", "image", "publishedAt"];
+
+// Keep status, isPublished, publishedAt and contentUpdatedAt consistent
 articleSchema.pre("save", function(next) {
+  const now = new Date();
+
+  if (this.status === "scheduled") {
+    // A schedule in the past means "publish now"
+    if (this.scheduledFor <= now) {
+      this.status = "published";
+    }
+  }
+
+  if (this.status === "published" && this.unpublishAt && this.unpublishAt <= now) {
+    this.status = "archived";
+  }
+
   if (this.isModified("status") && this.status === "published" && !this.publishedAt) {
-    this.publishedAt = new Date();
+    this.publishedAt = now;
+    // First publication: followers are notified once the save went through
+    this.$locals.firstPublished = true;
+  }
+
+  this.isPublished = this.status === "published";
+
+  const edited = FEED_FIELDS.some(field => this.isModified(field));
+  if ((this.isPublished && edited) || (!this.isNew && this.isModified("isPublished"))) {
+    this.contentUpdatedAt = now;
   }
   next();
 });
@@ -196,27 +422,52 @@ articleSchema.methods.removeLike = function(userId) {
   return this.save();
 };
 
-// Method to add a comment
-articleSchema.methods.addComment = function(userId, text) {
-  this.comments.push({
-    userId,
-    text
-  });
+// Method to increment views
+articleSchema.methods.incrementViews = function() {
+  this.views += 1;
   return this.save();
 };
 
-// Method to remove a comment
-articleSchema.methods.removeComment = function(commentId) {
-  this.comments = this.comments.filter(comment => 
-    comment._id.toString() !== commentId.toString()
-  );
-  return this.save();
+// Whether the article may be shown to the given user (drafts: author, editors and admins only)
+articleSchema.methods.isVisibleTo = function(user) {
+  if (this.isPublished) return true;
+  if (!user) return false;
+  if (hasPermission(user, "articles:read-unpublished")) return true;
+  const authorId = this.authorId?._id || this.authorId;
+  return authorId.toString() === user._id.toString();
 };
 
-// Method to increment views
-articleSchema.methods.incrementViews = function() {
-  this.views += 1;
-  return this.save();
+// ============================================
+// STATICS
+// ============================================
+
+// Move articles to a new status one by one. An article that fails to save
+// (e.g. its category was removed) is logged and skipped, so it can't hold
+// up the others. Returns how many were saved.
+async function transition(articles, status) {
+  let saved = 0;
+  for (const article of articles) {
+    try {
+      article.status = status;
+      await article.save();
+      saved += 1;
+    } catch (err) {
+      console.error(`❌ Could not set article ${article._id} to "${status}":`, err.message);
+    }
+  }
+  return saved;
+}
+
+// Publish every scheduled article whose time has come
+articleSchema.statics.publishDue = async function(now = new Date()) {
+  const due = await this.find({ status: "scheduled", scheduledFor: { $lte: now } });
+  return transition(due, "published");
+};
+
+// Take down every published article whose embargo has ended
+articleSchema.statics.unpublishExpired = async function(now = new Date()) {
+  const expired = await this.find({ status: "published", unpublishAt: { $lte: now } });
+  return transition(expired, "archived");
 };
 
 export default mongoose.model("Article", articleSchema);
\ No newline at end of file
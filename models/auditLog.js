@@ -0,0 +1,71 @@
+import mongoose from "mongoose";
+
+// Append-only record of admin actions and sensitive account changes
+const auditLogSchema = new mongoose.Schema(
+  {
+    // Who did it; null for system actions
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+      index: true
+    },
+
+    action: {
+      type: String,
+      required: [true, "Action is required"],
+      index: true
+    },
+
+    targetType: {
+      type: String,
+      enum: ["user", "article", "comment", "category", "tag", "media"],
+      default: "user"
+    },
+
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+      index: true
+    },
+
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+
+    ip: String,
+    userAgent: String
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+
+// ============================================
+// MIDDLEWARE
+// ============================================
+
+// Entries can be added but never changed or removed
+auditLogSchema.pre("save", function(next) {
+  if (!this.isNew) {
+    return next(new Error("Audit log entries cannot be modified"));
+  }
+  next();
+});
+
+const blockWrite = function(next) {
+  next(new Error("Audit log entries cannot be modified or deleted"));
+};
+
+auditLogSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace",
+   "deleteOne", "deleteMany", "findOneAndDelete"],
+  { document: false, query: true },
+  blockWrite
+);
+auditLogSchema.pre(["updateOne", "deleteOne"], { document: true, query: false }, blockWrite);
+
+export default mongoose.model("AuditLog", auditLogSchema);
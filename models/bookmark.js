@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+
+// An article a user saved for later
+const bookmarkSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"]
+    },
+
+    articleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Article",
+      required: [true, "Article ID is required"],
+      index: true
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+// One bookmark per article, listed newest first
+bookmarkSchema.index({ userId: 1, articleId: 1 }, { unique: true });
+bookmarkSchema.index({ userId: 1, createdAt: -1 });
+
+// ============================================
+// STATICS
+// ============================================
+
+// Which of the given articles a user has bookmarked, as a Set of id strings
+bookmarkSchema.statics.bookmarkedIds = async function(userId, articleIds) {
+  if (!userId || articleIds.length === 0) return new Set();
+  const bookmarks = await this.find({ userId, articleId: { $in: articleIds } }).select("articleId");
+  return new Set(bookmarks.map(bookmark => bookmark.articleId.toString()));
+};
+
+export default mongoose.model("Bookmark", bookmarkSchema);
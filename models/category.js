@@ -0,0 +1,102 @@
+import mongoose from "mongoose";
+import { slugify } from "../util/slugify.js";
+
+// Article categories, managed by admins. Articles store the category name,
+// so renaming or merging a category also updates its articles (see the
+// category controller).
+const categorySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Category name is required"],
+      trim: true,
+      maxlength: [50, "Category name cannot exceed 50 characters"],
+      unique: true
+    },
+
+    slug: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      unique: true
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Description cannot exceed 500 characters"],
+      default: ""
+    },
+
+    // Hex color such as "#3b82f6"
+    color: {
+      type: String,
+      trim: true,
+      match: [/^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i, "Color must be a hex color such as #3b82f6"],
+      default: null
+    },
+
+    // Icon name or emoji, interpreted by the front end
+    icon: {
+      type: String,
+      trim: true,
+      maxlength: [50, "Icon cannot exceed 50 characters"],
+      default: null
+    },
+
+    parentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null
+    },
+
+    // Display order among siblings, lowest first
+    order: {
+      type: Number,
+      default: 0
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// ============================================
+// INDEXES
+// ============================================
+
+categorySchema.index({ parentId: 1, order: 1, name: 1 });
+
+// ============================================
+// MIDDLEWARE
+// ============================================
+
+// The slug follows the name
+categorySchema.pre("validate", function() {
+  if (this.isModified("name") || !this.slug) {
+    this.slug = slugify(this.name, 60);
+  }
+  if (this.isModified("name") && !this.slug) {
+    this.invalidate("name", "Category name must contain letters or digits", this.name);
+  }
+});
+
+// ============================================
+// STATICS
+// ============================================
+
+// Find a category from what a client sent: its name in any case, or its slug
+categorySchema.statics.findByName = function(value) {
+  const slug = slugify(value, 60);
+  if (!slug) return Promise.resolve(null);
+  return this.findOne({ slug });
+};
+
+// The stored name for a ?category= filter. Unknown values come back
+// unchanged, so they simply match no articles.
+categorySchema.statics.resolveName = async function(value) {
+  const category = await this.findByName(value);
+  return category ? category.name : value;
+};
+
+export default mongoose.model("Category", categorySchema);
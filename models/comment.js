@@ -0,0 +1,100 @@
+import mongoose from "mongoose";
+
+const commentSchema = new mongoose.Schema(
+  {
+    articleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Article",
+      required: [true, "Article ID is required"],
+      index: true
+    },
+
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+      index: true
+    },
+
+    // Comment being replied to; null for top-level comments
+    parentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+      default: null
+    },
+
+    text: {
+      type: String,
+      required: [true, "Comment text is required"],
+      trim: true,
+      maxlength: [1000, "Comment cannot exceed 1000 characters"]
+    },
+
+    replyCount: {
+      type: Number,
+      default: 0,
+      min: [0, "Reply count cannot be negative"]
+    },
+
+    editedAt: {
+      type: Date,
+      default: null
+    },
+
+    // Only approved comments are shown publicly
+    status: {
+      type: String,
+      enum: {
+        values: ["approved", "pending", "rejected", "spam"],
+        message: "Status must be one of: approved, pending, rejected, spam"
+      },
+      default: "approved",
+      index: true
+    },
+
+    spamScore: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 1
+    },
+
+    spamReasons: [String],
+
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null
+    },
+
+    moderatedAt: {
+      type: Date,
+      default: null
+    },
+
+    // Comments with replies are blanked instead of removed to keep threads intact
+    isDeleted: {
+      type: Boolean,
+      default: false
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// ============================================
+// INDEXES FOR PERFORMANCE
+// ============================================
+
+// Thread listing, newest/oldest and top
+commentSchema.index({ articleId: 1, parentId: 1, createdAt: -1 });
+commentSchema.index({ articleId: 1, parentId: 1, replyCount: -1 });
+
+// Moderation queue and spam heuristics
+commentSchema.index({ status: 1, createdAt: -1 });
+commentSchema.index({ userId: 1, createdAt: -1 });
+
+export default mongoose.model("Comment", commentSchema);
@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+
+// One document per "follower follows author" pair
+const followSchema = new mongoose.Schema(
+  {
+    followerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Follower ID is required"]
+    },
+
+    followingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Followed user ID is required"]
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+// Following lists, and no duplicate follows
+followSchema.index({ followerId: 1, followingId: 1 }, { unique: true });
+// Follower lists
+followSchema.index({ followingId: 1, createdAt: -1 });
+
+// ============================================
+// STATICS
+// ============================================
+
+followSchema.statics.countsFor = async function(userId) {
+  const [followers, following] = await Promise.all([
+    this.countDocuments({ followingId: userId }),
+    this.countDocuments({ followerId: userId })
+  ]);
+  return { followers, following };
+};
+
+export default mongoose.model("Follow", followSchema);
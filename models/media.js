@@ -0,0 +1,80 @@
+import mongoose from "mongoose";
+
+const STORAGE_PROVIDERS = ["cloudinary", "local", "s3"];
+
+// A resized copy of a stored image
+const imageVariantSchema = new mongoose.Schema(
+  {
+    provider: { type: String, enum: STORAGE_PROVIDERS, required: true },
+    key: { type: String, required: true },
+    url: { type: String, required: true },
+    width: Number,
+    height: Number
+  },
+  { _id: false }
+);
+
+// Fields describing a stored image, as returned by storeImage() in
+// util/images.js. Shared by library items and article banners.
+export function storedImageFields() {
+  return {
+    originalName: { type: String, required: true },
+    // Storage driver that holds the file (util/storage.js)
+    provider: { type: String, enum: STORAGE_PROVIDERS, required: true },
+    key: { type: String, required: true },
+    url: { type: String, required: true },
+    width: Number,
+    height: Number,
+    mimeType: String,
+    size: Number,
+    // Tiny blurred data URI to show while the image loads
+    placeholder: String,
+    variants: {
+      thumbnail: imageVariantSchema,
+      medium: imageVariantSchema,
+      large: imageVariantSchema
+    }
+  };
+}
+
+// An image in a user's media library. Articles use library items as their
+// banner (image.mediaId) or inline in the body (media).
+const mediaSchema = new mongoose.Schema(
+  {
+    ownerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Owner ID is required"],
+      index: true
+    },
+
+    ...storedImageFields(),
+
+    alt: {
+      type: String,
+      trim: true,
+      maxlength: [300, "Alt text cannot exceed 300 characters"],
+      default: ""
+    },
+
+    caption: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Caption cannot exceed 500 characters"],
+      default: ""
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+mediaSchema.index({ ownerId: 1, createdAt: -1 });
+
+// The parts of an item copied onto an article that uses it as banner
+mediaSchema.methods.toImage = function() {
+  const { originalName, provider, key, url, width, height, mimeType, size, placeholder, variants } = this.toObject();
+  return { originalName, provider, key, url, width, height, mimeType, size, placeholder, variants, mediaId: this._id };
+};
+
+export default mongoose.model("Media", mediaSchema);
@@ -0,0 +1,71 @@
+import mongoose from "mongoose";
+
+export const NOTIFICATION_TYPES = [
+  "like",               // someone liked your article
+  "comment",            // someone commented on your article
+  "reply",              // someone replied to your comment
+  "follow",             // someone followed you
+  "article-published",  // an author you follow published an article
+  "moderation"          // your comment was approved, rejected or marked as spam
+];
+
+const notificationSchema = new mongoose.Schema(
+  {
+    recipientId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Recipient ID is required"]
+    },
+
+    // User who caused the notification
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null
+    },
+
+    type: {
+      type: String,
+      enum: {
+        values: NOTIFICATION_TYPES,
+        message: "{VALUE} is not a valid notification type"
+      },
+      required: true
+    },
+
+    articleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Article",
+      default: null
+    },
+
+    commentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+      default: null
+    },
+
+    // Type-specific details (article title, moderation outcome, ...)
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+
+    readAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+// Listing, unread counts and mark-all-read
+notificationSchema.index({ recipientId: 1, createdAt: -1 });
+notificationSchema.index({ recipientId: 1, readAt: 1 });
+
+// Notifications sent only once per actor, type and article (see notify)
+notificationSchema.index({ recipientId: 1, actorId: 1, type: 1, articleId: 1 });
+
+export default mongoose.model("Notification", notificationSchema);
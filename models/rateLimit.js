@@ -0,0 +1,31 @@
+import mongoose from "mongoose";
+
+// Counters for the Mongo rate limit store (see util/rateLimitStore.js)
+const rateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  count: {
+    type: Number,
+    default: 0
+  },
+
+  // Extra state, e.g. a login lockout
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  resetAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Expired counters are removed by MongoDB
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("RateLimit", rateLimitSchema);
@@ -0,0 +1,76 @@
+import mongoose from "mongoose";
+
+export const MAX_LIST_ITEMS = 500;
+
+// A named, ordered collection of articles. Public lists can be browsed by
+// anyone on the owner's profile; private ones only by the owner.
+const readingListSchema = new mongoose.Schema(
+  {
+    ownerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Owner ID is required"],
+      index: true
+    },
+
+    name: {
+      type: String,
+      required: [true, "List name is required"],
+      trim: true,
+      maxlength: [100, "List name cannot exceed 100 characters"]
+    },
+
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Description cannot exceed 500 characters"],
+      default: ""
+    },
+
+    visibility: {
+      type: String,
+      enum: {
+        values: ["private", "public"],
+        message: "{VALUE} is not a valid visibility"
+      },
+      default: "private"
+    },
+
+    // In reading order
+    items: {
+      type: [{
+        _id: false,
+        articleId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Article",
+          required: true
+        },
+        addedAt: {
+          type: Date,
+          default: Date.now
+        }
+      }],
+      validate: {
+        validator: items => items.length <= MAX_LIST_ITEMS,
+        message: `A list cannot hold more than ${MAX_LIST_ITEMS} articles`
+      }
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+readingListSchema.index({ ownerId: 1, visibility: 1, updatedAt: -1 });
+// Removing a deleted article from every list
+readingListSchema.index({ "items.articleId": 1 });
+
+// ============================================
+// METHODS
+// ============================================
+
+readingListSchema.methods.hasArticle = function(articleId) {
+  return this.items.some(item => item.articleId.toString() === articleId.toString());
+};
+
+export default mongoose.model("ReadingList", readingListSchema);
@@ -0,0 +1,63 @@
+import mongoose from "mongoose";
+
+// One document per issued refresh token. Tokens created by rotating each
+// other share a `family`, which identifies a single login session.
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true
+    },
+
+    family: {
+      type: String,
+      required: true,
+      index: true
+    },
+
+    // SHA-256 of the token; the token itself is never stored
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+
+    revokedAt: {
+      type: Date,
+      default: null
+    },
+
+    revokedReason: {
+      type: String,
+      enum: [
+        "rotated", "logout", "logout-all", "password-change", "reuse-detected",
+        "account-deleted", "account-restricted", "forced-reset", null
+      ],
+      default: null
+    },
+
+    replacedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "RefreshToken",
+      default: null
+    },
+
+    userAgent: String,
+    ip: String
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Let MongoDB drop expired tokens on its own
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("RefreshToken", refreshTokenSchema);
@@ -0,0 +1,101 @@
+import mongoose from "mongoose";
+
+// Article fields captured in every revision snapshot
+export const REVISION_FIELDS = ["title", "content", "contentFormat", "excerpt", "category", "tags"];
+
+const revisionSchema = new mongoose.Schema(
+  {
+    articleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Article",
+      required: [true, "Article ID is required"],
+      index: true
+    },
+
+    // Sequential per article, starting at 1
+    version: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+
+    editorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Editor ID is required"]
+    },
+
+    changedFields: [{
+      type: String,
+      enum: REVISION_FIELDS
+    }],
+
+    // Set when this revision was produced by restoring an older one
+    restoredFrom: {
+      type: Number,
+      default: null
+    },
+
+    snapshot: {
+      title: String,
+      content: String,
+      contentFormat: String,
+      excerpt: String,
+      category: String,
+      tags: [String]
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+revisionSchema.index({ articleId: 1, version: -1 }, { unique: true });
+
+// ============================================
+// STATICS
+// ============================================
+
+// Copy the tracked fields of an article into a plain snapshot
+revisionSchema.statics.snapshotOf = function(article) {
+  return {
+    title: article.title,
+    content: article.content,
+    contentFormat: article.contentFormat,
+    excerpt: article.excerpt,
+    category: article.category,
+    tags: [...(article.tags || [])]
+  };
+};
+
+// Names of the tracked fields that differ between two snapshots
+revisionSchema.statics.changedBetween = function(before, after) {
+  return REVISION_FIELDS.filter(field =>
+    JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null)
+  );
+};
+
+const RECORD_ATTEMPTS = 5;
+
+// Store the current state of an article as its next revision. Two saves can
+// pick the same version; the unique index rejects the second, which retries
+// with the next number.
+revisionSchema.statics.record = async function(article, editorId, changedFields, restoredFrom = null) {
+  for (let attempt = 1; ; attempt++) {
+    const latest = await this.findOne({ articleId: article._id }).sort({ version: -1 }).select("version");
+    try {
+      return await this.create({
+        articleId: article._id,
+        version: latest ? latest.version + 1 : 1,
+        editorId,
+        changedFields,
+        restoredFrom,
+        snapshot: this.snapshotOf(article)
+      });
+    } catch (err) {
+      if (err.code !== 11000 || attempt >= RECORD_ATTEMPTS) throw err;
+    }
+  }
+};
+
+export default mongoose.model("Revision", revisionSchema);
@@ -0,0 +1,89 @@
+import mongoose from "mongoose";
+
+// Normalize tags as typed: lowercase, trimmed, no empties or duplicates
+export function cleanTagList(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags ?? "").split(/[\s,]+/);
+  return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+}
+
+// Managed tags. Article tags stay plain strings; a Tag document only exists
+// for tags an admin has touched: a canonical tag with aliases that are
+// rewritten to it, or a blocked tag that articles may not use.
+const tagName = {
+  type: String,
+  trim: true,
+  lowercase: true,
+  minlength: [2, "Tag must be at least 2 characters"],
+  maxlength: [30, "Tag cannot exceed 30 characters"]
+};
+
+const tagSchema = new mongoose.Schema(
+  {
+    name: {
+      ...tagName,
+      required: [true, "Tag name is required"],
+      unique: true
+    },
+
+    // Other spellings, rewritten to `name` when articles are saved
+    aliases: [tagName],
+
+    blocked: {
+      type: Boolean,
+      default: false
+    },
+
+    blockedReason: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Reason cannot exceed 200 characters"],
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// ============================================
+// INDEXES
+// ============================================
+
+// An alias belongs to one tag; the tag controller keeps it that way
+tagSchema.index({ aliases: 1 });
+
+// ============================================
+// STATICS
+// ============================================
+
+// The managed Tag matching a name or alias, if any
+tagSchema.statics.findByNameOrAlias = function(name) {
+  const value = String(name).trim().toLowerCase();
+  return this.findOne({ $or: [{ name: value }, { aliases: value }] });
+};
+
+// Rewrite aliases to their canonical tag. Returns the resulting tags and
+// the blocked ones, which callers reject.
+tagSchema.statics.canonicalize = async function(tags) {
+  const names = cleanTagList(tags);
+  if (names.length === 0) return { tags: [], blocked: [] };
+
+  const managed = await this.find({ $or: [{ name: { $in: names } }, { aliases: { $in: names } }] });
+  const byName = new Map();
+  for (const tag of managed) {
+    byName.set(tag.name, tag);
+    tag.aliases.forEach(alias => byName.set(alias, tag));
+  }
+
+  const result = [];
+  const blocked = [];
+  for (const name of names) {
+    const tag = byName.get(name);
+    if (tag?.blocked) blocked.push(name);
+    else result.push(tag ? tag.name : name);
+  }
+
+  return { tags: [...new Set(result)], blocked };
+};
+
+export default mongoose.model("Tag", tagSchema);
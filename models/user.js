@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { ROLES } from "../util/permissions.js";
 
 const userSchema = new mongoose.Schema(
   {
@@ -17,15 +18,64 @@ const userSchema = new mongoose.Schema(
       trim: true,
       match: [/^\S+@\S+\.\S+$/, "Please provide a valid email"]
     },
+    emailVerified: {
+      type: Boolean,
+      default: false
+    },
+    emailVerifiedAt: {
+      type: Date,
+      default: null
+    },
+    // New address waiting for confirmation; `email` changes only once verified
+    pendingEmail: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      default: null
+    },
     password: {
       type: String,
       required: [true, "Password is required"],
       minlength: [6, "Password must be at least 6 characters"]
     },
-    isAdmin: {
+    role: {
+      type: String,
+      enum: {
+        values: ROLES,
+        message: `Role must be one of: ${ROLES.join(", ")}`
+      },
+      default: "author",
+      index: true
+    },
+    // Account standing; suspensions lift themselves after suspendedUntil
+    status: {
+      type: String,
+      enum: {
+        values: ["active", "suspended", "banned"],
+        message: "Status must be one of: active, suspended, banned"
+      },
+      default: "active",
+      index: true
+    },
+    suspendedUntil: {
+      type: Date,
+      default: null
+    },
+    statusReason: {
+      type: String,
+      maxlength: [500, "Reason cannot exceed 500 characters"],
+      default: null
+    },
+    // Set by an admin: login is refused until the password is reset by email
+    mustResetPassword: {
       type: Boolean,
       default: false
     },
+    // Bumped to invalidate every access token issued before
+    tokenVersion: {
+      type: Number,
+      default: 0
+    },
     bio: {
       type: String,
       maxlength: [500, "Bio cannot exceed 500 characters"]
@@ -39,7 +89,20 @@ const userSchema = new mongoose.Schema(
       linkedin: String,
       github: String,
       website: String
-    }
+    },
+    // Notification types turned off by the user (missing means on)
+    notificationPreferences: {
+      type: Map,
+      of: Boolean,
+      default: {}
+    },
+    // Tags whose articles show up in the personalized feed
+    followedTags: [{
+      type: String,
+      trim: true,
+      lowercase: true,
+      maxlength: [30, "Tag cannot exceed 30 characters"]
+    }]
   },
   { 
     timestamps: true,
@@ -47,6 +110,11 @@ const userSchema = new mongoose.Schema(
       virtuals: true,
       transform: function(doc, ret) {
         delete ret.password; // Don't send password in responses
+        delete ret.tokenVersion;
+        delete ret.pendingEmail; // Private until confirmed, shown only in the user's own responses
+        delete ret.emailVerifiedAt;
+        delete ret.followedTags; // Only shown to the user, via GET /api/tags/following
+        delete ret.notificationPreferences;
         return ret;
       }
     },
@@ -57,6 +125,34 @@ const userSchema = new mongoose.Schema(
 // Add index for email
 userSchema.index({ email: 1 });
 
+// ============================================
+// METHODS
+// ============================================
+
+// Why the account may not be used right now, or null if it can
+userSchema.methods.accountRestriction = function(now = new Date()) {
+  if (this.status === "banned") {
+    return {
+      status: "banned",
+      message: `Account banned${this.statusReason ? `: ${this.statusReason}` : ""}`
+    };
+  }
+  if (this.status === "suspended" && (!this.suspendedUntil || this.suspendedUntil > now)) {
+    const until = this.suspendedUntil ? ` until ${this.suspendedUntil.toISOString()}` : "";
+    return {
+      status: "suspended",
+      suspendedUntil: this.suspendedUntil,
+      message: `Account suspended${until}${this.statusReason ? `: ${this.statusReason}` : ""}`
+    };
+  }
+  return null;
+};
+
+// Kept for clients that still read the old flag
+userSchema.virtual('isAdmin').get(function() {
+  return this.role === 'admin';
+});
+
 // Virtual for article count
 userSchema.virtual('articleCount', {
   ref: 'Article',
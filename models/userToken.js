@@ -0,0 +1,83 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+
+// Single-use tokens sent by email (verification and password reset).
+// Only a SHA-256 hash is stored, so a database leak does not expose them.
+const userTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true
+    },
+
+    purpose: {
+      type: String,
+      enum: ["email-verification", "password-reset"],
+      required: true
+    },
+
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true
+    },
+
+    // Address being verified (the new one for email changes)
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+
+    usedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+function hash(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+// ============================================
+// STATICS
+// ============================================
+
+// Create a token for a user, replacing any unused one with the same purpose
+userTokenSchema.statics.issue = async function(userId, purpose, ttlMinutes, data = {}) {
+  await this.deleteMany({ userId, purpose, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString("base64url");
+  await this.create({
+    userId,
+    purpose,
+    tokenHash: hash(token),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+    ...data
+  });
+  return token;
+};
+
+// Mark a token as used and return it; null when unknown, used or expired
+userTokenSchema.statics.consume = function(token, purpose) {
+  return this.findOneAndUpdate(
+    { tokenHash: hash(token), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+export default mongoose.model("UserToken", userTokenSchema);
@@ -1,30 +1,68 @@
 import express from "express";
-import { upload } from "../util/multer.js";
+import { uploadImage } from "../util/multer.js";
 import {
   getAllArticles,
+  getTrendingArticles,
+  getRelatedArticles,
   getArticlesByAuthor,
   getArticleById,
+  getArticleBySlug,
   createArticle,
   updateArticle,
   deleteArticle,
   toggleLike,
-  comment,  
 } from "../controllers/articleController.js";
-import { protect } from "../middleware/authMiddle.js";
+import {
+  getComments,
+  createComment,
+  updateCommentSettings,
+} from "../controllers/commentController.js";
+import {
+  getRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision,
+} from "../controllers/revisionController.js";
+import { addBookmark, removeBookmark } from "../controllers/bookmarkController.js";
+import { getArticleAnalytics } from "../controllers/analyticsController.js";
+import { protect, optionalAuth, authorize } from "../middleware/authMiddle.js";
+import { createArticleLimiter, commentLimiter, likeLimiter } from "../middleware/rateLimit.js";
 
 const router = express.Router();
 
 // Public routes
-router.get("/", getAllArticles); // Get all articles with filters & pagination
-router.get("/:id", getArticleById); // Get single article by ID
+// Fixed paths are registered before "/:id" so they are never read as an article ID
+router.get("/", optionalAuth, getAllArticles); // Get all articles with filters & pagination
+router.get("/trending", optionalAuth, getTrendingArticles); // Trending articles (?window=24h|7d|30d&category=&tag=)
+router.get("/author/:authorId", optionalAuth, getArticlesByAuthor); // Get all articles by specific author
+router.get("/slug/:slug", optionalAuth, getArticleBySlug); // Get single article by slug (301 for old slugs)
+router.get("/:id", optionalAuth, getArticleById); // Get single article by ID or slug
+router.get("/:id/related", optionalAuth, getRelatedArticles); // Articles to read next (?limit=)
 
 // Protected routes (require authentication)
-router.post("/", protect, upload.single("file") ,createArticle); // Create new article
-router.put("/:id", protect,upload.single("file"), updateArticle); // Update article
-router.delete("/:id", protect, deleteArticle); // Delete article
-router.patch("/:id/like", protect, toggleLike); // Like/unlike article
-router.patch("/:id/comment", protect, comment); // Like/unlike article
-// Get articles by author
-router.get("/author/:authorId", getArticlesByAuthor); // Get all articles by specific author
+// Ownership is checked in the controllers; "-own" permissions are the minimum needed
+router.post("/", protect, authorize("articles:create"), createArticleLimiter, uploadImage("file"), createArticle); // Create new article
+router.put("/:id", protect, authorize("articles:edit-own"), uploadImage("file"), updateArticle); // Update article
+router.delete("/:id", protect, authorize("articles:delete-own"), deleteArticle); // Delete article
+router.patch("/:id/like", protect, authorize("articles:like"), likeLimiter, toggleLike); // Like/unlike article
+router.patch("/:id/comment", protect, authorize("comments:create"), commentLimiter, createComment); // Add comment (legacy, use POST /:id/comments)
+
+// Analytics (author, editors and admins)
+router.get("/:id/analytics", protect, authorize("analytics:read-own"), getArticleAnalytics); // Views, readers, likes, comments and referrers (?days=)
+
+// Bookmarks
+router.post("/:id/bookmark", protect, authorize("lists:manage-own"), addBookmark); // Bookmark article
+router.delete("/:id/bookmark", protect, authorize("lists:manage-own"), removeBookmark); // Remove bookmark
+
+// Comments
+router.get("/:id/comments", optionalAuth, getComments); // Paginated comments or replies (?parentId=)
+router.post("/:id/comments", protect, authorize("comments:create"), commentLimiter, createComment); // Add comment or reply
+router.patch("/:id/comment-settings", protect, authorize("comments:moderate-own"), updateCommentSettings); // Enable/disable or moderate comments
+
+// Revision history (author or admin)
+router.get("/:id/revisions", protect, authorize("articles:edit-own"), getRevisions); // List revisions
+router.get("/:id/revisions/diff", protect, authorize("articles:edit-own"), diffRevisions); // Diff two revisions (?from=&to=)
+router.get("/:id/revisions/:version", protect, authorize("articles:edit-own"), getRevision); // Get a single revision
+router.post("/:id/revisions/:version/restore", protect, authorize("articles:edit-own"), restoreRevision); // Restore a revision
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,11 @@
+import express from "express";
+import { getBookmarks } from "../controllers/bookmarkController.js";
+import { protect } from "../middleware/authMiddle.js";
+
+const router = express.Router();
+
+// Protected routes (require authentication)
+// Bookmarking itself lives under /api/articles/:id/bookmark
+router.get("/", protect, getBookmarks); // Bookmarked articles, newest first (?page=&limit=)
+
+export default router;
@@ -0,0 +1,24 @@
+import express from "express";
+import {
+  getCategories,
+  getCategory,
+  createCategory,
+  updateCategory,
+  mergeCategory,
+  deleteCategory,
+} from "../controllers/categoryController.js";
+import { protect, authorize } from "../middleware/authMiddle.js";
+
+const router = express.Router();
+
+// Public routes
+router.get("/", getCategories); // All categories with article counts (?tree=true)
+router.get("/:slug", getCategory); // One category by slug or ID, with subcategories
+
+// Admin only routes
+router.post("/", protect, authorize("categories:manage"), createCategory); // Create a category
+router.patch("/:id", protect, authorize("categories:manage"), updateCategory); // Update (renaming re-points articles)
+router.post("/:id/merge", protect, authorize("categories:manage"), mergeCategory); // Merge into { targetId } and delete
+router.delete("/:id", protect, authorize("categories:manage"), deleteCategory); // Delete an unused category
+
+export default router;
@@ -0,0 +1,20 @@
+import express from "express";
+import {
+  updateComment,
+  deleteComment,
+  getModerationQueue,
+  moderateComment,
+} from "../controllers/commentController.js";
+import { protect, authorize } from "../middleware/authMiddle.js";
+
+const router = express.Router();
+
+// Moderation (article authors and admins)
+router.get("/moderation", protect, authorize("comments:moderate-own"), getModerationQueue); // Queue of pending/spam/rejected comments
+router.patch("/:commentId/moderate", protect, authorize("comments:moderate-own"), moderateComment); // Approve, reject or mark as spam
+
+// Protected routes (require authentication)
+router.put("/:commentId", protect, authorize("comments:edit-own"), updateComment); // Edit comment (author, article owner or admin)
+router.delete("/:commentId", protect, authorize("comments:delete-own"), deleteComment); // Delete comment (author, article owner or admin)
+
+export default router;
@@ -0,0 +1,22 @@
+import express from "express";
+import { sendFeed } from "../controllers/feedController.js";
+
+const router = express.Router();
+
+const rss = sendFeed("rss");
+const atom = sendFeed("atom");
+const json = sendFeed("json");
+
+// Whole blog
+router.get("/rss.xml", rss);
+router.get("/atom.xml", atom);
+router.get("/feed.json", json);
+
+// Per category, tag and author
+for (const scope of ["category/:category", "tag/:tag", "author/:authorId"]) {
+  router.get(`/${scope}/rss.xml`, rss);
+  router.get(`/${scope}/atom.xml`, atom);
+  router.get(`/${scope}/feed.json`, json);
+}
+
+export default router;
@@ -0,0 +1,10 @@
+import express from "express";
+import { getHomeFeed } from "../controllers/followController.js";
+import { protect } from "../middleware/authMiddle.js";
+
+const router = express.Router();
+
+// Protected routes (require authentication)
+router.get("/", protect, getHomeFeed); // Articles from followed authors and tags (?limit=&after=&before=)
+
+export default router;
@@ -0,0 +1,23 @@
+import express from "express";
+import {
+  uploadMedia,
+  getMediaLibrary,
+  getMediaItem,
+  updateMedia,
+  deleteMedia,
+} from "../controllers/mediaController.js";
+import { protect, authorize } from "../middleware/authMiddle.js";
+import { mediaUploadLimiter } from "../middleware/rateLimit.js";
+import { uploadImage } from "../util/multer.js";
+
+const router = express.Router();
+
+// Protected routes (require authentication)
+// Items belong to their uploader; "media:manage-any" reaches everyone's library
+router.post("/", protect, authorize("media:manage-own"), mediaUploadLimiter, uploadImage("file"), uploadMedia); // Upload an image (file, alt, caption)
+router.get("/", protect, authorize("media:manage-own"), getMediaLibrary); // Own library (?q=&ownerId=&page=&limit=)
+router.get("/:id", protect, authorize("media:manage-own"), getMediaItem); // Item with the articles using it
+router.patch("/:id", protect, authorize("media:manage-own"), updateMedia); // Update alt text / caption
+router.delete("/:id", protect, authorize("media:manage-own"), deleteMedia); // Delete (?force=true when used inline)
+
+export default router;
@@ -0,0 +1,27 @@
+import express from "express";
+import {
+  getNotifications,
+  getUnreadCount,
+  markRead,
+  markAllRead,
+  getPreferences,
+  updatePreferences,
+  streamNotifications,
+  createStreamTicket,
+} from "../controllers/notificationController.js";
+import { protect, protectStream } from "../middleware/authMiddle.js";
+
+const router = express.Router();
+
+// Protected routes (require authentication)
+// Fixed paths are registered before "/:id"
+router.get("/", protect, getNotifications); // Notifications with unread count (?unread=true&type=&page=&limit=)
+router.get("/unread-count", protect, getUnreadCount); // Unread count only
+router.post("/stream-ticket", protect, createStreamTicket); // Single-use ticket for opening the stream
+router.get("/stream", protectStream, streamNotifications); // Live Server-Sent Events (token in header or ?ticket=)
+router.get("/preferences", protect, getPreferences); // Notification types on/off
+router.put("/preferences", protect, updatePreferences); // Turn notification types on/off
+router.post("/read-all", protect, markAllRead); // Mark all as read
+router.patch("/:id/read", protect, markRead); // Mark one as read
+
+export default router;
@@ -0,0 +1,28 @@
+import express from "express";
+import {
+  createList,
+  getMyLists,
+  getList,
+  updateList,
+  deleteList,
+  addListItem,
+  removeListItem,
+  reorderList,
+} from "../controllers/bookmarkController.js";
+import { protect, optionalAuth, authorize } from "../middleware/authMiddle.js";
+
+const router = express.Router();
+
+// Public routes
+router.get("/:id", optionalAuth, getList); // A list with its articles (public lists, or own private ones)
+
+// Protected routes (require authentication)
+router.get("/", protect, getMyLists); // Own reading lists
+router.post("/", protect, authorize("lists:manage-own"), createList); // Create a list
+router.patch("/:id", protect, authorize("lists:manage-own"), updateList); // Rename, describe or change visibility
+router.delete("/:id", protect, authorize("lists:manage-own"), deleteList); // Delete a list
+router.post("/:id/items", protect, authorize("lists:manage-own"), addListItem); // Add an article (optional position)
+router.put("/:id/items", protect, authorize("lists:manage-own"), reorderList); // Reorder articles
+router.delete("/:id/items/:articleId", protect, authorize("lists:manage-own"), removeListItem); // Remove an article
+
+export default router;
@@ -0,0 +1,9 @@
+import express from "express";
+import { searchArticles } from "../controllers/searchController.js";
+
+const router = express.Router();
+
+// Public routes
+router.get("/", searchArticles); // Full-text search (?q=&category=&tags=&authorId=&from=&to=)
+
+export default router;
@@ -0,0 +1,42 @@
+import express from "express";
+import {
+  getFollowedTags,
+  followTag,
+  unfollowTag,
+} from "../controllers/followController.js";
+import {
+  getTags,
+  autocompleteTags,
+  getTag,
+  mergeTagsInto,
+  renameTag,
+  blockTag,
+  unblockTag,
+  removeTagAlias,
+} from "../controllers/tagController.js";
+import { protect, authorize } from "../middleware/authMiddle.js";
+import { followLimiter } from "../middleware/rateLimit.js";
+
+const router = express.Router();
+
+// Public routes
+// Fixed paths are registered before "/:tag"
+router.get("/", getTags); // Tag directory with usage counts (?q=&sort=popular|name&page=&limit=)
+
+// Protected routes (require authentication)
+router.get("/following", protect, getFollowedTags); // Tags the current user follows
+router.get("/autocomplete", protect, authorize("articles:create"), autocompleteTags); // Tag suggestions for a prefix (?q=&limit=)
+router.post("/:tag/follow", protect, authorize("follows:manage-own"), followLimiter, followTag); // Follow a tag
+router.delete("/:tag/follow", protect, authorize("follows:manage-own"), followLimiter, unfollowTag); // Unfollow a tag
+
+// Admin only routes
+router.post("/merge", protect, authorize("tags:manage"), mergeTagsInto); // Merge { sources } into { target }
+router.patch("/:tag", protect, authorize("tags:manage"), renameTag); // Rename; the old name becomes an alias
+router.post("/:tag/block", protect, authorize("tags:manage"), blockTag); // Block and remove from articles
+router.delete("/:tag/block", protect, authorize("tags:manage"), unblockTag); // Unblock
+router.delete("/:tag/aliases/:alias", protect, authorize("tags:manage"), removeTagAlias); // Remove an alias
+
+// Public tag page, after the fixed paths
+router.get("/:tag", getTag); // Tag with aliases, followers and articles (aliases redirect)
+
+export default router;
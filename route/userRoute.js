@@ -7,24 +7,78 @@ import {
   login,
   updatePersonalInfo,
   changePassword,
+  getRoles,
+  assignRole,
 } from "../controllers/user.js";
-import { protect } from "../middleware/authMiddle.js";
+import {
+  refresh,
+  logout,
+  logoutAll,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+} from "../controllers/authController.js";
+import {
+  suspendUser,
+  banUser,
+  reinstateUser,
+  forcePasswordReset,
+  getAuditLog,
+} from "../controllers/adminController.js";
+import {
+  followUser,
+  unfollowUser,
+  getFollowers,
+  getFollowing,
+} from "../controllers/followController.js";
+import { getUserLists } from "../controllers/bookmarkController.js";
+import { getMyAnalytics } from "../controllers/analyticsController.js";
+import { protect, optionalAuth, authorize } from "../middleware/authMiddle.js";
+import {
+  loginIpLimiter,
+  loginAccountLimiter,
+  registerIpLimiter,
+  registerAccountLimiter,
+  passwordResetLimiter,
+  followLimiter,
+} from "../middleware/rateLimit.js";
 
 const router = express.Router();
 
 // Public routes
-router.post("/auth/register", createNewUser); // Register new user
-router.post("/auth/login", login); // Login
+router.post("/auth/register", registerIpLimiter, registerAccountLimiter, createNewUser); // Register new user
+router.post("/auth/login", loginIpLimiter, loginAccountLimiter, login); // Login
+router.post("/auth/refresh", refresh); // Rotate refresh token, get a new access token
+router.post("/auth/verify-email", verifyEmail); // Confirm email with the emailed token
+router.post("/auth/forgot-password", passwordResetLimiter, forgotPassword); // Email a password reset link
+router.post("/auth/reset-password", resetPassword); // Set a new password with the reset token
 
 // Protected routes (require authentication)
-router.put("/users/profile", protect, updatePersonalInfo); // Update own profile
-router.put("/users/:id/password", protect, changePassword); // Change password
+router.post("/auth/logout", protect, logout); // Log out current session
+router.post("/auth/logout-all", protect, logoutAll); // Log out everywhere
+router.post("/auth/resend-verification", protect, resendVerification); // Send the verification email again
+router.get("/users/me/analytics", protect, authorize("analytics:read-own"), getMyAnalytics); // Author dashboard (?days=)
+router.put("/users/profile", protect, authorize("profile:edit-own"), updatePersonalInfo); // Update own profile
+router.put("/users/:id/password", protect, authorize("profile:edit-own"), changePassword); // Change password
 router.delete("/users/:id", protect, deleteUser); // Delete user (self or admin)
+router.post("/users/:id/follow", protect, authorize("follows:manage-own"), followLimiter, followUser); // Follow an author
+router.delete("/users/:id/follow", protect, authorize("follows:manage-own"), followLimiter, unfollowUser); // Unfollow an author
 
 // Admin only routes
-router.get("/users", protect, getAllUsers); // Get all users (admin only)
+router.get("/users", protect, authorize("users:list"), getAllUsers); // Get all users (admin only)
+router.get("/roles", protect, authorize("roles:assign"), getRoles); // Roles and their permissions
+router.put("/users/:id/role", protect, authorize("roles:assign"), assignRole); // Assign a role
+router.post("/users/:id/suspend", protect, authorize("users:manage"), suspendUser); // Suspend (until a date or indefinitely)
+router.post("/users/:id/ban", protect, authorize("users:manage"), banUser); // Ban permanently
+router.post("/users/:id/reinstate", protect, authorize("users:manage"), reinstateUser); // Lift suspension or ban
+router.post("/users/:id/force-password-reset", protect, authorize("users:manage"), forcePasswordReset); // Require a password reset
+router.get("/audit-log", protect, authorize("audit:read"), getAuditLog); // Admin actions and sensitive account changes
 
 // Public user info (can be accessed by anyone)
-router.get("/users/:id", getUserById); // Get user by ID
+router.get("/users/:id", optionalAuth, getUserById); // Get user by ID, with follower counts
+router.get("/users/:id/followers", getFollowers); // Users following this user
+router.get("/users/:id/following", getFollowing); // Users this user follows
+router.get("/users/:id/lists", optionalAuth, getUserLists); // Public reading lists (owner also sees private ones)
 
 export default router;
\ No newline at end of file
@@ -5,12 +5,30 @@ import cors from "cors";
 import morgan from "morgan";
 import articleRoutes from "./route/article.js";
 import userRoutes from "./route/userRoute.js";
+import commentRoutes from "./route/comment.js";
+import searchRoutes from "./route/search.js";
+import feedRoutes from "./route/feeds.js";
+import mediaRoutes from "./route/media.js";
+import tagRoutes from "./route/tags.js";
+import homeFeedRoutes from "./route/homeFeed.js";
+import notificationRoutes from "./route/notifications.js";
+import bookmarkRoutes from "./route/bookmarks.js";
+import readingListRoutes from "./route/readingLists.js";
+import categoryRoutes from "./route/categories.js";
+import { startScheduler } from "./util/scheduler.js";
+import { mailDriverName } from "./util/mailer.js";
+import { MEDIA_ROUTE, getStorage } from "./util/storage.js";
 
 // Load environment variables
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 5000;
+
+// Behind a reverse proxy, trust it so rate limits see the client IP
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
 const MONGO_URI = process.env.MONGO_URI;
 
 // ============================================
@@ -22,6 +40,12 @@ if (!MONGO_URI) {
   process.exit(1);
 }
 
+// Refuse to fall back to logging emails (and their tokens) in production
+if (!mailDriverName()) {
+  console.error("❌ MAIL_DRIVER must be set in production (smtp or file)");
+  process.exit(1);
+}
+
 // ============================================
 // MIDDLEWARE
 // ============================================
@@ -49,6 +73,7 @@ mongoose
   .connect(MONGO_URI)
   .then(() => {
     console.log("✅ MongoDB connected successfully");
+    startScheduler();
   })
   .catch((err) => {
     console.error("❌ MongoDB connection error:", err.message);
@@ -88,8 +113,23 @@ app.get("/health", (req, res) => {
 
 // API routes
 app.use("/api/articles", articleRoutes);
+app.use("/api/comments", commentRoutes);
+app.use("/api/search", searchRoutes);
+app.use("/api/media", mediaRoutes);
+app.use("/api/tags", tagRoutes);
+app.use("/api/feed", homeFeedRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/bookmarks", bookmarkRoutes);
+app.use("/api/lists", readingListRoutes);
+app.use("/api/categories", categoryRoutes);
 app.use("/api", userRoutes); // Changed from "/api" to "/api/users"
 
+// Syndication feeds
+app.use("/feeds", feedRoutes);
+
+// Files stored by the local storage driver
+app.use(MEDIA_ROUTE, express.static(getStorage("local").root, { maxAge: "7d" }));
+
 // ============================================
 // ERROR HANDLING
 // ============================================
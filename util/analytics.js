@@ -0,0 +1,204 @@
+import crypto from "crypto";
+import Article from "../models/articles.js";
+import ArticleView from "../models/articleView.js";
+import ArticleStat from "../models/articleStat.js";
+
+// View tracking and daily analytics buckets. A visitor counts as one view
+// per ARTICLE_VIEW_WINDOW_MINUTES (default 30) per article. Bots and
+// authors reading their own articles are not counted.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const BOT_PATTERN = /bot|crawl|spider|slurp|archiver|preview|facebookexternalhit|embedly|headless|phantomjs|lighthouse|curl|wget|python-requests|axios|node-fetch|go-http-client|java\//i;
+
+function viewWindowMs() {
+  return (parseInt(process.env.ARTICLE_VIEW_WINDOW_MINUTES) || 30) * 60 * 1000;
+}
+
+export function startOfDay(date = new Date()) {
+  return new Date(Math.floor(date.getTime() / DAY_MS) * DAY_MS);
+}
+
+export function isBot(userAgent) {
+  return !userAgent || BOT_PATTERN.test(userAgent);
+}
+
+// Signed-in readers are counted by account; guests by a hash of IP and
+// user agent, so no address is stored
+export function visitorKey(req) {
+  if (req.user) return `u:${req.user._id}`;
+  const hash = crypto
+    .createHash("sha256")
+    .update(`${req.ip}|${req.get("user-agent")}`)
+    .digest("hex");
+  return `a:${hash}`;
+}
+
+// "direct", "internal" or the referring host without "www."
+export function referrerSource(req) {
+  const referrer = req.get("referer");
+  if (!referrer) return "direct";
+  try {
+    const host = new URL(referrer).hostname.toLowerCase();
+    if (!host) return "direct";
+    if (host === req.hostname?.toLowerCase()) return "internal";
+    return host.replace(/^www\./, "");
+  } catch {
+    return "direct";
+  }
+}
+
+async function addReferrer(filter, source, inc, setOnInsert) {
+  const existing = await ArticleStat.updateOne(
+    { ...filter, "referrers.source": source },
+    { $inc: { ...inc, "referrers.$.count": 1 } }
+  );
+  if (existing.matchedCount > 0) return;
+
+  await ArticleStat.updateOne(
+    filter,
+    { $inc: inc, $push: { referrers: { source, count: 1 } }, $setOnInsert: setOnInsert },
+    { upsert: true }
+  );
+}
+
+// Count a view of `article` unless it is a repeat, a bot or the author.
+// Returns whether it was counted. Never throws: analytics must not break reads.
+export async function recordView(article, req) {
+  try {
+    const authorId = article.authorId?._id || article.authorId;
+    if (req.user && authorId.toString() === req.user._id.toString()) return false;
+    if (isBot(req.get("user-agent"))) return false;
+
+    const now = new Date();
+    const key = visitorKey(req);
+    const day = startOfDay(now);
+
+    const result = await ArticleView.updateOne(
+      { articleId: article._id, visitorKey: key, window: Math.floor(now.getTime() / viewWindowMs()) },
+      { $setOnInsert: { day } },
+      { upsert: true }
+    ).catch(err => {
+      // Two requests raced for the same window: the other one counted it
+      if (err.code === 11000) return { upsertedCount: 0 };
+      throw err;
+    });
+    if (result.upsertedCount === 0) return false;
+
+    const firstToday = await ArticleView.countDocuments({ articleId: article._id, visitorKey: key, day }) === 1;
+
+    await Promise.all([
+      // Only the counter changes; timestamps stay as they are
+      Article.updateOne({ _id: article._id }, { $inc: { views: 1 } }, { timestamps: false }),
+      addReferrer(
+        { articleId: article._id, day },
+        referrerSource(req),
+        { views: 1, uniqueReaders: firstToday ? 1 : 0 },
+        { authorId }
+      )
+    ]);
+    return true;
+  } catch (err) {
+    console.error("❌ Could not record article view:", err.message);
+    return false;
+  }
+}
+
+// Add a like or comment to today's bucket. Never throws.
+export async function recordActivity(article, field) {
+  try {
+    await ArticleStat.updateOne(
+      { articleId: article._id, day: startOfDay() },
+      { $inc: { [field]: 1 }, $setOnInsert: { authorId: article.authorId?._id || article.authorId } },
+      { upsert: true }
+    );
+  } catch (err) {
+    console.error(`❌ Could not record article ${field}:`, err.message);
+  }
+}
+
+const COUNTERS = ["views", "uniqueReaders", "likes", "comments"];
+
+function sumOf(fields) {
+  return Object.fromEntries(fields.map(field => [field, { $sum: `$${field}` }]));
+}
+
+function zeroCounters() {
+  return Object.fromEntries(COUNTERS.map(field => [field, 0]));
+}
+
+// Unique readers are counted per day, so summed over several days a reader
+// counts once for each day they read. Sums carry a name that says so.
+function renameDailySum({ uniqueReaders, ...counts }) {
+  return { ...counts, dailyUniqueReaders: uniqueReaders };
+}
+
+// The last `days` days, today included
+export function analyticsRange(days) {
+  const to = startOfDay();
+  const from = new Date(to.getTime() - (days - 1) * DAY_MS);
+  return { from, to, days };
+}
+
+// Totals, a day-by-day timeline (missing days are zero), referrers and,
+// with `topArticles`, the most viewed articles for the buckets matching `match`.
+// Totals and top articles report `dailyUniqueReaders`, the sum of each day's
+// unique readers; the timeline has the per-day `uniqueReaders`.
+export async function summarizeStats(match, { from, to, days }, { topArticles = 0 } = {}) {
+  const filter = { ...match, day: { $gte: from, $lte: to } };
+
+  const [daily, referrers, top] = await Promise.all([
+    ArticleStat.aggregate([
+      { $match: filter },
+      { $group: { _id: "$day", ...sumOf(COUNTERS) } },
+      { $sort: { _id: 1 } }
+    ]),
+    ArticleStat.aggregate([
+      { $match: filter },
+      { $unwind: "$referrers" },
+      { $group: { _id: "$referrers.source", views: { $sum: "$referrers.count" } } },
+      { $sort: { views: -1, _id: 1 } },
+      { $limit: 20 }
+    ]),
+    topArticles > 0
+      ? ArticleStat.aggregate([
+          { $match: filter },
+          { $group: { _id: "$articleId", ...sumOf(COUNTERS) } },
+          { $sort: { views: -1, _id: 1 } },
+          { $limit: topArticles }
+        ])
+      : []
+  ]);
+
+  const byDay = new Map(daily.map(({ _id, ...counts }) => [_id.getTime(), counts]));
+  const timeline = [];
+  const totals = zeroCounters();
+  for (let n = 0; n < days; n++) {
+    const day = new Date(from.getTime() + n * DAY_MS);
+    const counts = { ...zeroCounters(), ...byDay.get(day.getTime()) };
+    COUNTERS.forEach(field => { totals[field] += counts[field]; });
+    timeline.push({ date: day.toISOString().slice(0, 10), ...counts });
+  }
+
+  const summary = {
+    range: { from, to, days },
+    totals: renameDailySum(totals),
+    timeline,
+    referrers: referrers.map(({ _id, views }) => ({ source: _id, views }))
+  };
+
+  if (topArticles > 0) {
+    const articles = await Article.find({ _id: { $in: top.map(entry => entry._id) } }).select("title slug");
+    const byId = new Map(articles.map(article => [article._id.toString(), article]));
+    summary.topArticles = top
+      .filter(({ _id }) => byId.has(_id.toString()))
+      .map(({ _id, ...counts }) => ({
+        articleId: _id,
+        title: byId.get(_id.toString()).title,
+        slug: byId.get(_id.toString()).slug,
+        ...renameDailySum(counts)
+      }));
+  }
+
+  return summary;
+}
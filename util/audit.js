@@ -0,0 +1,19 @@
+import AuditLog from "../models/auditLog.js";
+
+// Append an entry to the audit log. Never throws: a failed log write is
+// reported but must not undo the action it describes.
+export async function recordAudit(req, action, { targetType = "user", targetId = null, details = {}, actorId } = {}) {
+  try {
+    await AuditLog.create({
+      actorId: actorId !== undefined ? actorId : req?.user?._id || null,
+      action,
+      targetType,
+      targetId,
+      details,
+      ip: req?.ip,
+      userAgent: req?.get?.("user-agent")
+    });
+  } catch (err) {
+    console.error(`❌ Failed to write audit log entry "${action}":`, err.message);
+  }
+}
@@ -0,0 +1,122 @@
+import { marked } from "marked";
+import sanitizeHtml from "sanitize-html";
+import { slugify } from "./slugify.js";
+
+// Turns article content into sanitized HTML, a table of contents and text
+// statistics. The source is kept as written; only the output is trusted.
+
+export const CONTENT_FORMATS = ["markdown", "html", "plain"];
+
+// Everything not listed here is removed from rendered content, including
+// scripts, styles, event handlers and javascript: URLs
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    "h1", "h2", "h3", "h4", "h5", "h6", "p", "br", "hr", "blockquote",
+    "pre", "code", "ul", "ol", "li", "strong", "b", "em", "i", "u", "s", "del",
+    "sub", "sup", "mark", "a", "img", "figure", "figcaption",
+    "table", "thead", "tbody", "tr", "th", "td"
+  ],
+  allowedAttributes: {
+    a: ["href", "title", "rel", "target"],
+    img: ["src", "alt", "title", "width", "height", "loading"],
+    code: ["class"],
+    ol: ["start"],
+    th: ["align"],
+    td: ["align"]
+  },
+  allowedClasses: {
+    code: [/^language-[\w-]+$/]
+  },
+  allowedSchemes: ["http", "https", "mailto"],
+  allowedSchemesByTag: { img: ["http", "https"] },
+  allowProtocolRelative: false,
+  transformTags: {
+    a: (tagName, attribs) => ({
+      tagName,
+      attribs: attribs.target === "_blank"
+        ? { ...attribs, rel: "noopener noreferrer nofollow" }
+        : { ...attribs, rel: "nofollow" }
+    }),
+    img: (tagName, attribs) => ({ tagName, attribs: { ...attribs, loading: "lazy" } })
+  }
+};
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x?[0-9a-f]+|\w+);/gi, (match, entity) => {
+    if (entity[0] === "#") {
+      const code = entity[1].toLowerCase() === "x" ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Plain text: paragraphs on blank lines, line breaks kept
+function renderPlain(source) {
+  return source
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean)
+    .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, "<br />")}</p>`)
+    .join("\n");
+}
+
+// Give every heading an anchor and collect them into a table of contents.
+// Runs on sanitized HTML, where headings never carry attributes.
+function addHeadingAnchors(html) {
+  const toc = [];
+  const used = new Set();
+
+  const withAnchors = html.replace(/<h([1-6])>([\s\S]*?)<\/h\1>/g, (match, level, inner) => {
+    const text = decodeEntities(inner.replace(/<[^>]*>/g, "")).replace(/\s+/g, " ").trim();
+    if (!text) return match;
+
+    const base = slugify(text) || "section";
+    let anchor = base;
+    for (let n = 2; used.has(anchor); n++) {
+      anchor = `${base}-${n}`;
+    }
+    used.add(anchor);
+
+    toc.push({ level: Number(level), text, anchor });
+    return `<h${level} id="${anchor}">${inner}</h${level}>`;
+  });
+
+  return { html: withAnchors, toc };
+}
+
+// Text as a reader sees it, for word counts and reading time
+export function htmlToText(html = "") {
+  return decodeEntities(html.replace(/<[^>]*>/g, " ")).replace(/\s+/g, " ").trim();
+}
+
+export function renderContent(source = "", format = "markdown") {
+  let html;
+  if (format === "plain") {
+    html = renderPlain(source);
+  } else if (format === "html") {
+    html = sanitizeHtml(source, SANITIZE_OPTIONS);
+  } else {
+    html = sanitizeHtml(marked.parse(source, { gfm: true, async: false }), SANITIZE_OPTIONS);
+  }
+
+  const { html: withAnchors, toc } = addHeadingAnchors(html);
+  const text = htmlToText(withAnchors);
+
+  return {
+    html: withAnchors,
+    toc,
+    wordCount: text ? text.split(" ").length : 0,
+    characterCount: text.length
+  };
+}
@@ -0,0 +1,73 @@
+// Above this many LCS table cells (lines before × lines after, once the
+// common start and end are trimmed) the changed block is shown as one
+// removal and one addition instead
+const MAX_DIFF_CELLS = 1_000_000;
+
+// Line-based diff between two strings using the longest common subsequence.
+// Returns a list of { op: "equal" | "add" | "remove", text } hunks.
+export function diffLines(before = "", after = "") {
+  const a = (before || "").split("\n");
+  const b = (after || "").split("\n");
+
+  const hunks = [];
+  const push = (op, text) => {
+    const last = hunks[hunks.length - 1];
+    if (last && last.op === op) last.text += `\n${text}`;
+    else hunks.push({ op, text });
+  };
+
+  // Unchanged lines at the start and end need no table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  for (let k = 0; k < start; k++) push("equal", a[k]);
+
+  const rows = endA - start;
+  const cols = endB - start;
+  if (rows * cols > MAX_DIFF_CELLS) {
+    for (let k = start; k < endA; k++) push("remove", a[k]);
+    for (let k = start; k < endB; k++) push("add", b[k]);
+  } else {
+    // LCS lengths table over the changed middle, filled from the end
+    const lcs = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1));
+    for (let i = rows - 1; i >= 0; i--) {
+      for (let j = cols - 1; j >= 0; j--) {
+        lcs[i][j] = a[start + i] === b[start + j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < rows && j < cols) {
+      if (a[start + i] === b[start + j]) {
+        push("equal", a[start + i]);
+        i++;
+        j++;
+      } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+        push("remove", a[start + i++]);
+      } else {
+        push("add", b[start + j++]);
+      }
+    }
+    while (i < rows) push("remove", a[start + i++]);
+    while (j < cols) push("add", b[start + j++]);
+  }
+
+  for (let k = endA; k < a.length; k++) push("equal", a[k]);
+
+  return hunks;
+}
+
+// Items added to and removed from a list
+export function diffLists(before = [], after = []) {
+  return {
+    added: after.filter(item => !before.includes(item)),
+    removed: before.filter(item => !after.includes(item))
+  };
+}
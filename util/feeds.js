@@ -0,0 +1,113 @@
+// Builders for RSS 2.0, Atom 1.0 and JSON Feed 1.1 documents.
+// Each takes a feed description and a list of normalized items:
+//   feed: { title, description, siteUrl, feedUrl, updated }
+//   item: { id, url, title, summary, image, author, tags, published, updated }
+
+function escapeXml(value = "") {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+const IMAGE_TYPES = {
+  png: "image/png",
+  gif: "image/gif",
+  webp: "image/webp",
+  avif: "image/avif",
+  svg: "image/svg+xml"
+};
+
+function imageType(url = "") {
+  const extension = url.split("?")[0].split(".").pop().toLowerCase();
+  return IMAGE_TYPES[extension] || "image/jpeg";
+}
+
+export function buildRss(feed, items) {
+  const entries = items.map(item => `
+    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.url)}</link>
+      <guid isPermaLink="false">${escapeXml(item.id)}</guid>
+      <pubDate>${item.published.toUTCString()}</pubDate>
+      ${item.author ? `<dc:creator>${escapeXml(item.author)}</dc:creator>` : ""}
+      <description>${escapeXml(item.summary)}</description>
+      ${item.tags.map(tag => `<category>${escapeXml(tag)}</category>`).join("")}
+      ${item.image ? `<enclosure url="${escapeXml(item.image)}" length="0" type="${imageType(item.image)}"/>` : ""}
+      ${item.image ? `<media:content url="${escapeXml(item.image)}" medium="image"/>` : ""}
+    </item>`).join("");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:media="http://search.yahoo.com/mrss/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.siteUrl)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml"/>
+    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>${entries}
+  </channel>
+</rss>
+`;
+}
+
+export function buildAtom(feed, items) {
+  const entries = items.map(item => `
+  <entry>
+    <title>${escapeXml(item.title)}</title>
+    <link rel="alternate" href="${escapeXml(item.url)}"/>
+    <id>${escapeXml(item.url)}</id>
+    <published>${item.published.toISOString()}</published>
+    <updated>${item.updated.toISOString()}</updated>
+    ${item.author ? `<author><name>${escapeXml(item.author)}</name></author>` : ""}
+    <summary>${escapeXml(item.summary)}</summary>
+    ${item.tags.map(tag => `<category term="${escapeXml(tag)}"/>`).join("")}
+    ${item.image ? `<link rel="enclosure" href="${escapeXml(item.image)}" type="${imageType(item.image)}"/>` : ""}
+  </entry>`).join("");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link rel="alternate" href="${escapeXml(feed.siteUrl)}"/>
+  <link rel="self" href="${escapeXml(feed.feedUrl)}"/>
+  <id>${escapeXml(feed.feedUrl)}</id>
+  <updated>${feed.updated.toISOString()}</updated>${entries}
+</feed>
+`;
+}
+
+export function buildJsonFeed(feed, items) {
+  return {
+    version: "https://jsonfeed.org/version/1.1",
+    title: feed.title,
+    description: feed.description,
+    home_page_url: feed.siteUrl,
+    feed_url: feed.feedUrl,
+    items: items.map(item => ({
+      id: item.id,
+      url: item.url,
+      title: item.title,
+      summary: item.summary,
+      image: item.image || undefined,
+      date_published: item.published.toISOString(),
+      date_modified: item.updated.toISOString(),
+      authors: item.author ? [{ name: item.author }] : undefined,
+      tags: item.tags.length > 0 ? item.tags : undefined
+    }))
+  };
+}
+
+// Deleted articles leave nothing behind to date the change by, so deleting
+// one marks every feed as changed. The mark lives in memory and starts at
+// boot: after a restart clients fetch each feed once more.
+let feedsChangedAt = new Date();
+
+export function markFeedsChanged() {
+  feedsChangedAt = new Date();
+}
+
+export function lastFeedChange() {
+  return feedsChangedAt;
+}
@@ -0,0 +1,180 @@
+import fs from "fs/promises";
+import sharp from "sharp";
+import { config } from "dotenv";
+import { storeFile, removeStoredFile } from "./storage.js";
+
+config();
+
+// Image types accepted for upload, keyed by MIME type
+export const ALLOWED_IMAGE_TYPES = {
+  "image/jpeg": { label: "JPEG", extensions: [".jpg", ".jpeg"], format: "jpeg" },
+  "image/png": { label: "PNG", extensions: [".png"], format: "png" },
+  "image/webp": { label: "WebP", extensions: [".webp"], format: "webp" }
+};
+
+// Resized copies generated for every upload (max width in pixels)
+export const IMAGE_VARIANTS = {
+  thumbnail: 320,
+  medium: 800,
+  large: 1600
+};
+
+const DEFAULT_MAX_DIMENSION = 8000;
+const PLACEHOLDER_WIDTH = 16;
+
+export class ImageError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "ImageError";
+    this.status = status;
+  }
+}
+
+// Identify the real type from the first bytes of the file
+export function detectImageType(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return "image/jpeg";
+  }
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return "image/png";
+  }
+  if (buffer.length >= 12 && buffer.toString("ascii", 0, 4) === "RIFF" && buffer.toString("ascii", 8, 12) === "WEBP") {
+    return "image/webp";
+  }
+  return null;
+}
+
+async function readHeader(filePath) {
+  const handle = await fs.open(filePath, "r");
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(12), 0, 12, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+// Check the file content and dimensions; returns its type and metadata
+export async function validateImage(filePath, declaredType) {
+  const mimeType = detectImageType(await readHeader(filePath));
+  if (!mimeType) {
+    throw new ImageError("File is not a supported image", 415);
+  }
+  if (declaredType && declaredType !== mimeType) {
+    throw new ImageError("File content does not match its declared type", 415);
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(filePath).metadata();
+  } catch {
+    throw new ImageError("Image file is corrupt or unreadable");
+  }
+
+  const maxDimension = parseInt(process.env.IMAGE_MAX_DIMENSION) || DEFAULT_MAX_DIMENSION;
+  if (!metadata.width || !metadata.height) {
+    throw new ImageError("Image file is corrupt or unreadable");
+  }
+  if (metadata.width > maxDimension || metadata.height > maxDimension) {
+    throw new ImageError(`Image dimensions must not exceed ${maxDimension}x${maxDimension} pixels`);
+  }
+
+  return { mimeType, metadata };
+}
+
+// Re-encode the upload without metadata (EXIF, GPS...) and build the
+// variants and a tiny blurred placeholder. Output goes to temp files next
+// to the upload; the caller removes them.
+export async function processImage(filePath, declaredType) {
+  const { mimeType } = await validateImage(filePath, declaredType);
+  const { format } = ALLOWED_IMAGE_TYPES[mimeType];
+  const files = [];
+  let placeholder;
+
+  // rotate() applies the EXIF orientation before the metadata is dropped
+  const base = () => sharp(filePath).rotate();
+
+  try {
+    const originalPath = `${filePath}-original`;
+    files.push({ name: "original", path: originalPath, mimeType, ...await writeImage(base().toFormat(format), originalPath) });
+
+    for (const [name, width] of Object.entries(IMAGE_VARIANTS)) {
+      const variantPath = `${filePath}-${name}`;
+      const pipeline = base().resize({ width, withoutEnlargement: true }).webp({ quality: 80 });
+      files.push({ name, path: variantPath, mimeType: "image/webp", ...await writeImage(pipeline, variantPath) });
+    }
+
+    placeholder = await base()
+      .resize({ width: PLACEHOLDER_WIDTH })
+      .blur()
+      .webp({ quality: 40 })
+      .toBuffer();
+  } catch (err) {
+    await removeOutputs(files);
+    // System errors (disk full, permissions) carry a code; libvips decode
+    // failures don't, and mean the file passed the checks but is broken
+    if (err.code) throw err;
+    throw new ImageError("Image file is corrupt or unreadable");
+  }
+
+  return {
+    files,
+    placeholder: `data:image/webp;base64,${placeholder.toString("base64")}`
+  };
+}
+
+function removeOutputs(files) {
+  return Promise.all(files.map(output => fs.rm(output.path, { force: true })));
+}
+
+async function writeImage(pipeline, outputPath) {
+  const { width, height, size } = await pipeline.toFile(outputPath);
+  return { width, height, size };
+}
+
+// Validate, process and store an uploaded image (a multer file) with all of
+// its variants. Returns the sub-document saved on the article.
+export async function storeImage(file, folder) {
+  let processed = null;
+  const stored = [];
+
+  try {
+    processed = await processImage(file.path, file.mimetype);
+    const baseName = (file.originalname || "image").replace(/\.[^.]*$/, "");
+
+    for (const output of processed.files) {
+      const extension = output.mimeType === "image/webp" ? ".webp" : ALLOWED_IMAGE_TYPES[output.mimeType].extensions[0];
+      const result = await storeFile(output.path, {
+        folder,
+        originalName: `${baseName}${extension}`,
+        mimeType: output.mimeType
+      });
+      stored.push({ ...output, ...result });
+    }
+  } catch (err) {
+    // Nothing half-uploaded stays behind
+    await Promise.all(stored.map(removeStoredFile));
+    throw err;
+  } finally {
+    if (processed) await removeOutputs(processed.files);
+  }
+
+  const [original, ...variants] = stored;
+  const describe = ({ provider, key, url, width, height }) => ({ provider, key, url, width, height });
+
+  return {
+    originalName: file.originalname,
+    ...describe(original),
+    mimeType: original.mimeType,
+    size: original.size,
+    placeholder: processed.placeholder,
+    variants: Object.fromEntries(variants.map(variant => [variant.name, describe(variant)]))
+  };
+}
+
+// Delete a stored image and all of its variants
+export async function removeImage(image) {
+  if (!image) return;
+  const variants = Object.values(image.variants?.toObject?.() ?? image.variants ?? {});
+  await Promise.all([image, ...variants].map(removeStoredFile));
+}
@@ -0,0 +1,44 @@
+import { getRateLimitStore } from "./rateLimitStore.js";
+
+// Progressive lockout after repeated failed logins for one email address.
+// After LOGIN_LOCKOUT_THRESHOLD failures the account is locked for
+// LOGIN_LOCKOUT_BASE_MINUTES, doubling with each further failure up to
+// LOGIN_LOCKOUT_MAX_MINUTES. Unknown emails are treated exactly the same.
+
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+function settings() {
+  return {
+    threshold: parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5,
+    baseMs: (parseInt(process.env.LOGIN_LOCKOUT_BASE_MINUTES) || 1) * 60 * 1000,
+    maxMs: (parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES) || 60) * 60 * 1000
+  };
+}
+
+const normalize = email => String(email).toLowerCase().trim();
+
+// Seconds until the account can be tried again, or 0 when not locked
+export async function lockoutRemaining(email) {
+  const lock = await getRateLimitStore().get(`login-lock:${normalize(email)}`);
+  if (!lock) return 0;
+  return Math.max(0, Math.ceil((lock.resetAt.getTime() - Date.now()) / 1000));
+}
+
+export async function recordLoginFailure(email) {
+  const store = getRateLimitStore();
+  const { count } = await store.increment(`login-fail:${normalize(email)}`, FAILURE_WINDOW_MS);
+  const { threshold, baseMs, maxMs } = settings();
+
+  if (count >= threshold) {
+    const duration = Math.min(maxMs, baseMs * 2 ** (count - threshold));
+    await store.set(`login-lock:${normalize(email)}`, { failures: count }, duration);
+    return Math.ceil(duration / 1000);
+  }
+  return 0;
+}
+
+export async function clearLoginFailures(email) {
+  const store = getRateLimitStore();
+  await store.reset(`login-fail:${normalize(email)}`);
+  await store.reset(`login-lock:${normalize(email)}`);
+}
@@ -0,0 +1,125 @@
+import fs from "fs/promises";
+import path from "path";
+import nodemailer from "nodemailer";
+import { config } from "dotenv";
+
+config();
+
+// Mail goes through a transport chosen by MAIL_DRIVER:
+//   smtp     real delivery (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_SECURE)
+//   file     writes each message as JSON to MAIL_FILE_DIR (default: mail/)
+//   console  prints messages, tokens included, to the log (default outside
+//            production; production requires MAIL_DRIVER to be set)
+// A transport is any object with an async `send(message)` method.
+
+function smtpTransport() {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    name: "smtp",
+    send: message => transporter.sendMail(message)
+  };
+}
+
+function fileTransport() {
+  const dir = path.resolve(process.env.MAIL_FILE_DIR || "mail");
+
+  return {
+    name: "file",
+    async send(message) {
+      await fs.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${message.to.replace(/[^a-z0-9@.]/gi, "_")}.json`);
+      await fs.writeFile(file, JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2));
+      return { file };
+    }
+  };
+}
+
+function consoleTransport() {
+  return {
+    name: "console",
+    async send(message) {
+      console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+      return {};
+    }
+  };
+}
+
+const DRIVERS = {
+  smtp: smtpTransport,
+  file: fileTransport,
+  console: consoleTransport
+};
+
+let transport = null;
+
+// The console driver would log reset and verification tokens, so it is
+// only the default outside production. Returns null when nothing is set.
+export function mailDriverName() {
+  if (process.env.MAIL_DRIVER) return process.env.MAIL_DRIVER;
+  return process.env.NODE_ENV === "production" ? null : "console";
+}
+
+function getTransport() {
+  if (!transport) {
+    const driver = mailDriverName();
+    if (!driver) {
+      throw new Error("MAIL_DRIVER must be set in production");
+    }
+    if (!DRIVERS[driver]) {
+      throw new Error(`Unknown MAIL_DRIVER "${driver}", expected one of: ${Object.keys(DRIVERS).join(", ")}`);
+    }
+    transport = DRIVERS[driver]();
+  }
+  return transport;
+}
+
+// Swap the transport at runtime (e.g. a capturing one in tests)
+export function setMailTransport(custom) {
+  transport = custom;
+}
+
+export async function sendMail({ to, subject, text, html }) {
+  const from = process.env.MAIL_FROM || "Blogger <no-reply@localhost>";
+  return getTransport().send({ from, to, subject, text, html });
+}
+
+// ============================================
+// TEMPLATES
+// ============================================
+
+function escapeHtml(text = "") {
+  return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+function appUrl(pathname, token) {
+  const base = (process.env.FRONTEND_URL || "http://localhost:5173").replace(/\/$/, "");
+  return `${base}${pathname}?token=${encodeURIComponent(token)}`;
+}
+
+export function sendVerificationEmail(user, email, token) {
+  const link = appUrl("/verify-email", token);
+  return sendMail({
+    to: email,
+    subject: "Confirm your email address",
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening this link:\n${link}\n\nIf you did not request this, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Please confirm your email address:</p><p><a href="${link}">Confirm email</a></p><p>If you did not request this, you can ignore this email.</p>`
+  });
+}
+
+export function sendPasswordResetEmail(user, token, expiresInMinutes) {
+  const link = appUrl("/reset-password", token);
+  return sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text: `Hi ${user.name},\n\nSomeone asked to reset your password. Open this link within ${expiresInMinutes} minutes to choose a new one:\n${link}\n\nIf this was not you, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Someone asked to reset your password. This link is valid for ${expiresInMinutes} minutes:</p><p><a href="${link}">Reset password</a></p><p>If this was not you, you can ignore this email.</p>`
+  });
+}
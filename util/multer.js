@@ -1,3 +1,78 @@
-
 import multer from 'multer';
- export  const upload = multer({ dest: 'uploads/' });
+import fs from 'fs/promises';
+import path from 'path';
+import { config } from 'dotenv';
+import { ALLOWED_IMAGE_TYPES, ImageError } from './images.js';
+
+config();
+
+// Temp files get their own directory so the stale-upload cleanup never
+// touches anything else kept under uploads/
+const UPLOAD_DIR = 'uploads/tmp/';
+const DEFAULT_MAX_UPLOAD_MB = 5;
+
+const maxUploadBytes = Math.floor((parseFloat(process.env.UPLOAD_MAX_MB) || DEFAULT_MAX_UPLOAD_MB) * 1024 * 1024);
+
+// First line of defence: declared type and extension. The file content is
+// checked again after upload (util/images.js), since both can be faked.
+function imageFilter(req, file, cb) {
+  const type = ALLOWED_IMAGE_TYPES[file.mimetype];
+  const ext = path.extname(file.originalname || '').toLowerCase();
+  if (!type || !type.extensions.includes(ext)) {
+    return cb(new ImageError(
+      `Only ${Object.values(ALLOWED_IMAGE_TYPES).map(t => t.label).join(', ')} images are allowed`,
+      415
+    ));
+  }
+  cb(null, true);
+}
+
+export const upload = multer({
+  dest: UPLOAD_DIR,
+  limits: { fileSize: maxUploadBytes, files: 1 },
+  fileFilter: imageFilter
+});
+
+// upload.single() with multer errors turned into 4xx responses.
+// Multer removes partially written files itself when it fails.
+export function uploadImage(field) {
+  const handler = upload.single(field);
+  return (req, res, next) => {
+    handler(req, res, (err) => {
+      if (!err) return next();
+      if (err instanceof ImageError) {
+        return res.status(err.status).json({ success: false, message: err.message });
+      }
+      if (err instanceof multer.MulterError) {
+        const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+        const message = err.code === 'LIMIT_FILE_SIZE'
+          ? `Image is too large, the limit is ${+(maxUploadBytes / 1024 / 1024).toFixed(1)} MB`
+          : err.message;
+        return res.status(status).json({ success: false, message });
+      }
+      next(err);
+    });
+  };
+}
+
+// Delete temp uploads (and their processed outputs) left behind by crashed
+// or aborted requests. Only UPLOAD_DIR is scanned.
+export async function cleanStaleUploads(maxAgeMs) {
+  let removed = 0;
+  let names = [];
+  try {
+    names = await fs.readdir(UPLOAD_DIR);
+  } catch (err) {
+    if (err.code === 'ENOENT') return 0;
+    throw err;
+  }
+  for (const name of names) {
+    const filePath = path.join(UPLOAD_DIR, name);
+    const stats = await fs.stat(filePath).catch(() => null);
+    if (stats?.isFile() && Date.now() - stats.mtimeMs > maxAgeMs) {
+      await fs.rm(filePath, { force: true });
+      removed++;
+    }
+  }
+  return removed;
+}
@@ -0,0 +1,86 @@
+import Notification from "../models/notification.js";
+import User from "../models/user.js";
+import Follow from "../models/follow.js";
+
+// Open Server-Sent Events connections, by user id. They live in memory, so
+// when several server processes run, a client only hears about notifications
+// created by the process it is connected to.
+const streams = new Map();
+
+// Register a listener for a user's new notifications; returns an unsubscribe function
+export function subscribe(userId, listener) {
+  const key = userId.toString();
+  if (!streams.has(key)) streams.set(key, new Set());
+  streams.get(key).add(listener);
+
+  return () => {
+    const listeners = streams.get(key);
+    if (!listeners) return;
+    listeners.delete(listener);
+    if (listeners.size === 0) streams.delete(key);
+  };
+}
+
+function push(notification) {
+  const listeners = streams.get(notification.recipientId.toString());
+  if (!listeners) return;
+  for (const listener of listeners) {
+    try {
+      listener(notification);
+    } catch (err) {
+      console.error("❌ Notification stream listener failed:", err.message);
+    }
+  }
+}
+
+// Types are on unless the user turned them off
+export function wantsNotification(user, type) {
+  return user?.notificationPreferences?.get(type) !== false;
+}
+
+// Record a notification and push it to open streams. With `once`, an actor
+// notifies a recipient of a given type about an article only once (so
+// unliking and liking again does not notify again). Never throws:
+// failing to notify must not fail the action that caused it.
+export async function notify({ recipientId, actorId = null, type, articleId = null, commentId = null, data = {}, once = false }) {
+  try {
+    if (!recipientId) return null;
+    // Nobody is notified about their own actions
+    if (actorId && recipientId.toString() === actorId.toString()) return null;
+    if (once && await Notification.exists({ recipientId, actorId, type, articleId })) return null;
+
+    const recipient = await User.findById(recipientId).select("notificationPreferences");
+    if (!recipient || !wantsNotification(recipient, type)) return null;
+
+    const notification = await Notification.create({ recipientId, actorId, type, articleId, commentId, data });
+    push(notification);
+    return notification;
+  } catch (err) {
+    console.error(`❌ Could not create "${type}" notification:`, err.message);
+    return null;
+  }
+}
+
+// Tell the followers of an author about a newly published article
+export async function notifyFollowersOfArticle(article) {
+  try {
+    const followerIds = await Follow.find({ followingId: article.authorId }).distinct("followerId");
+    if (followerIds.length === 0) return;
+
+    const recipients = await User.find({
+      _id: { $in: followerIds },
+      "notificationPreferences.article-published": { $ne: false }
+    }).distinct("_id");
+
+    const notifications = await Notification.insertMany(recipients.map(recipientId => ({
+      recipientId,
+      actorId: article.authorId,
+      type: "article-published",
+      articleId: article._id,
+      data: { title: article.title, slug: article.slug }
+    })));
+    notifications.forEach(push);
+  } catch (err) {
+    console.error("❌ Could not notify followers of a new article:", err.message);
+  }
+}
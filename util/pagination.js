@@ -0,0 +1,130 @@
+// Page-number and opaque cursor pagination for listings.
+// Every sort mode breaks ties on _id so cursors are stable.
+
+export const SORT_MODES = {
+  newest: { field: "createdAt", direction: -1 },
+  oldest: { field: "createdAt", direction: 1 },
+  popular: { field: "views", direction: -1 },
+  likes: { field: "likes", direction: -1 },
+  title: { field: "title", direction: 1 },
+  // Precomputed by util/trending.js, one mode per window
+  "trending-24h": { field: "trending.24h", direction: -1 },
+  "trending-7d": { field: "trending.7d", direction: -1 },
+  "trending-30d": { field: "trending.30d", direction: -1 }
+};
+
+export class CursorError extends Error {
+  constructor(message = "Invalid cursor") {
+    super(message);
+    this.name = "CursorError";
+    this.status = 400;
+  }
+}
+
+export function resolveSortKey(key, fallback = "newest") {
+  return SORT_MODES[key] ? key : fallback;
+}
+
+export function encodeCursor(doc, sortKey) {
+  const { field } = SORT_MODES[sortKey];
+  // Mongoose documents resolve dotted paths; plain objects are walked
+  const value = typeof doc.get === "function"
+    ? doc.get(field)
+    : field.split(".").reduce((parent, key) => parent?.[key], doc);
+  const payload = {
+    s: sortKey,
+    v: value instanceof Date ? { d: value.toISOString() } : value ?? null,
+    id: doc._id.toString()
+  };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+export function decodeCursor(cursor, sortKey) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch (err) {
+    throw new CursorError();
+  }
+  if (!payload || typeof payload.id !== "string" || !/^[a-f0-9]{24}$/i.test(payload.id)) {
+    throw new CursorError();
+  }
+  if (payload.s !== sortKey) {
+    throw new CursorError(`Cursor was created for sort '${payload.s}', not '${sortKey}'`);
+  }
+  const value = payload.v && typeof payload.v === "object" && payload.v.d ? new Date(payload.v.d) : payload.v;
+  return { value, id: payload.id };
+}
+
+// Condition selecting documents strictly after (or before) a cursor position
+function cursorCondition(sortKey, { value, id }, backwards) {
+  const { field, direction } = SORT_MODES[sortKey];
+  const ascending = (direction === 1) !== backwards;
+  const op = ascending ? "$gt" : "$lt";
+  return {
+    $or: [
+      { [field]: { [op]: value } },
+      { [field]: value, _id: { [op]: id } }
+    ]
+  };
+}
+
+function sortSpec(sortKey, backwards = false) {
+  const { field, direction } = SORT_MODES[sortKey];
+  const dir = backwards ? -direction : direction;
+  return { [field]: dir, _id: dir };
+}
+
+// Run a paginated find.
+//   options.sortKey  one of SORT_MODES
+//   options.after / options.before  cursors; if neither is set, page mode is used
+//   options.cursor   true to use cursor mode for the first page (skips the count)
+//   options.prepare  callback to add populate/select to the query
+export async function paginate(Model, filter, { sortKey = "newest", page = 1, limit = 10, after, before, cursor, prepare = q => q }) {
+  sortKey = resolveSortKey(sortKey);
+
+  // Page-number mode (backward compatible)
+  if (!after && !before && !cursor) {
+    const skip = (page - 1) * limit;
+    const [items, total] = await Promise.all([
+      prepare(Model.find(filter).sort(sortSpec(sortKey)).skip(skip).limit(limit)),
+      Model.countDocuments(filter)
+    ]);
+    const hasMore = skip + items.length < total;
+    return {
+      mode: "page",
+      items,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      total,
+      limit,
+      nextCursor: hasMore && items.length > 0 ? encodeCursor(items[items.length - 1], sortKey) : null,
+      prevCursor: null
+    };
+  }
+
+  // Cursor mode: fetch one extra item to know if there is more in that direction
+  const backwards = Boolean(before) && !after;
+  const query = { ...filter };
+  const position = after || before;
+  if (position) {
+    const condition = cursorCondition(sortKey, decodeCursor(position, sortKey), backwards);
+    query.$and = [...(filter.$and || []), condition];
+  }
+
+  let items = await prepare(Model.find(query).sort(sortSpec(sortKey, backwards)).limit(limit + 1));
+  const hasMore = items.length > limit;
+  items = items.slice(0, limit);
+  if (backwards) items.reverse();
+
+  const first = items[0];
+  const last = items[items.length - 1];
+
+  return {
+    mode: "cursor",
+    items,
+    limit,
+    nextCursor: last && (backwards || hasMore) ? encodeCursor(last, sortKey) : null,
+    prevCursor: first && (backwards ? hasMore : Boolean(after)) ? encodeCursor(first, sortKey) : null
+  };
+}
@@ -0,0 +1,63 @@
+// Roles, from least to most privileged, and what each of them may do.
+// Every role has all the permissions of the roles before it.
+
+export const ROLES = ["reader", "author", "editor", "admin"];
+
+// Roles a user can get through registration
+export const SELF_SERVICE_ROLES = ["reader", "author"];
+
+const ROLE_PERMISSIONS = {
+  reader: [
+    "profile:edit-own",
+    "articles:like",
+    "comments:create",
+    "comments:edit-own",
+    "comments:delete-own",
+    "follows:manage-own",
+    "lists:manage-own"
+  ],
+  author: [
+    "articles:create",
+    "articles:edit-own",
+    "articles:delete-own",
+    "comments:moderate-own",
+    "media:manage-own",
+    "analytics:read-own"
+  ],
+  editor: [
+    "articles:read-unpublished",
+    "articles:edit-any",
+    "articles:delete-any",
+    "comments:moderate-any",
+    "media:manage-any",
+    "analytics:read-any"
+  ],
+  admin: [
+    "users:list",
+    "users:manage",
+    "users:delete-any",
+    "roles:assign",
+    "audit:read",
+    "categories:manage",
+    "tags:manage"
+  ]
+};
+
+// Flatten the inheritance once: { reader: Set, author: Set, ... }
+export const PERMISSIONS = ROLES.reduce((matrix, role, index) => {
+  const inherited = index > 0 ? [...matrix[ROLES[index - 1]]] : [];
+  matrix[role] = new Set([...inherited, ...ROLE_PERMISSIONS[role]]);
+  return matrix;
+}, {});
+
+export function hasPermission(user, permission) {
+  if (!user) return false;
+  return PERMISSIONS[user.role]?.has(permission) || false;
+}
+
+// Registration may pick a self-service role; anything else falls back to the default
+export function defaultRole(requested) {
+  if (SELF_SERVICE_ROLES.includes(requested)) return requested;
+  const configured = process.env.DEFAULT_USER_ROLE;
+  return SELF_SERVICE_ROLES.includes(configured) ? configured : "author";
+}
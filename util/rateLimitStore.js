@@ -0,0 +1,124 @@
+import { config } from "dotenv";
+import RateLimit from "../models/rateLimit.js";
+
+config();
+
+// A rate limit store keeps counters that expire after a window.
+// RATE_LIMIT_STORE picks the backend: "memory" (default, single process)
+// or "mongo" (shared between processes). A store provides:
+//   increment(key, windowMs) -> { count, resetAt }
+//   get(key)                 -> { count, data, resetAt } | null
+//   set(key, data, ttlMs)    -> void
+//   reset(key)               -> void
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+function memoryStore() {
+  const entries = new Map();
+
+  // Drop expired entries now and then so the map does not grow forever
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.resetAt <= now) entries.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweep.unref();
+
+  const live = key => {
+    const entry = entries.get(key);
+    if (entry && entry.resetAt > Date.now()) return entry;
+    entries.delete(key);
+    return null;
+  };
+
+  return {
+    name: "memory",
+
+    async increment(key, windowMs) {
+      let entry = live(key);
+      if (!entry) {
+        entry = { count: 0, data: null, resetAt: Date.now() + windowMs };
+        entries.set(key, entry);
+      }
+      entry.count += 1;
+      return { count: entry.count, resetAt: new Date(entry.resetAt) };
+    },
+
+    async get(key) {
+      const entry = live(key);
+      return entry ? { ...entry, resetAt: new Date(entry.resetAt) } : null;
+    },
+
+    async set(key, data, ttlMs) {
+      entries.set(key, { count: 0, data, resetAt: Date.now() + ttlMs });
+    },
+
+    async reset(key) {
+      entries.delete(key);
+    }
+  };
+}
+
+function mongoStore() {
+  return {
+    name: "mongo",
+
+    async increment(key, windowMs) {
+      const now = new Date();
+      const active = { $gt: ["$resetAt", now] };
+      // Start a new window when the old one has expired (or never existed)
+      const doc = await RateLimit.findOneAndUpdate(
+        { key },
+        [{
+          $set: {
+            count: { $cond: [active, { $add: ["$count", 1] }, 1] },
+            resetAt: { $cond: [active, "$resetAt", new Date(now.getTime() + windowMs)] }
+          }
+        }],
+        { upsert: true, new: true }
+      );
+      return { count: doc.count, resetAt: doc.resetAt };
+    },
+
+    async get(key) {
+      const doc = await RateLimit.findOne({ key, resetAt: { $gt: new Date() } }).lean();
+      return doc ? { count: doc.count, data: doc.data, resetAt: doc.resetAt } : null;
+    },
+
+    async set(key, data, ttlMs) {
+      await RateLimit.updateOne(
+        { key },
+        { $set: { data, count: 0, resetAt: new Date(Date.now() + ttlMs) } },
+        { upsert: true }
+      );
+    },
+
+    async reset(key) {
+      await RateLimit.deleteOne({ key });
+    }
+  };
+}
+
+const STORES = {
+  memory: memoryStore,
+  mongo: mongoStore
+};
+
+let store = null;
+
+export function getRateLimitStore() {
+  if (!store) {
+    const backend = process.env.RATE_LIMIT_STORE || "memory";
+    if (!STORES[backend]) {
+      throw new Error(`Unknown RATE_LIMIT_STORE "${backend}", expected one of: ${Object.keys(STORES).join(", ")}`);
+    }
+    store = STORES[backend]();
+  }
+  return store;
+}
+
+// Swap the store at runtime (e.g. a Redis-backed one)
+export function setRateLimitStore(custom) {
+  store = custom;
+}
@@ -0,0 +1,100 @@
+import Article from "../models/articles.js";
+
+// Related-article candidates for an article, ranked by shared tags, same
+// category, same author and text similarity. The ranking doesn't depend on
+// the reader, so it is cached per article; per-reader exclusions are applied
+// afterwards. A cached ranking is recomputed when the article's tags or
+// category change, or after RELATED_CACHE_TTL_MINUTES (default 60).
+
+const MAX_CANDIDATES = 50;
+const MAX_CACHED_ARTICLES = 1000;
+
+const WEIGHTS = {
+  sharedTag: 3,
+  sameCategory: 2,
+  sameAuthor: 1,
+  // The best text match gets this much, the others proportionally less
+  text: 4
+};
+
+// articleId -> { signature, expiresAt, candidates: [{ id, score }] }
+const cache = new Map();
+
+function cacheTtlMs() {
+  return (parseInt(process.env.RELATED_CACHE_TTL_MINUTES) || 60) * 60 * 1000;
+}
+
+// Changes whenever the inputs of the ranking change
+function signatureOf(article) {
+  return `${article.category}|${[...article.tags].sort().join(",")}`;
+}
+
+export function invalidateRelated(articleId) {
+  cache.delete(articleId.toString());
+}
+
+async function rankCandidates(article) {
+  const base = { _id: { $ne: article._id }, isPublished: true };
+  const fields = "tags category authorId";
+  const matchers = [{ category: article.category }, { authorId: article.authorId }];
+  if (article.tags.length > 0) matchers.push({ tags: { $in: article.tags } });
+
+  const search = [article.title, ...article.tags].join(" ");
+  const [similar, textMatches] = await Promise.all([
+    Article.find({ ...base, $or: matchers })
+      .select(fields)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(200)
+      .lean(),
+    Article.find({ ...base, $text: { $search: search } }, { score: { $meta: "textScore" } })
+      .select(fields)
+      .sort({ score: { $meta: "textScore" } })
+      .limit(MAX_CANDIDATES)
+      .lean()
+  ]);
+
+  const tags = new Set(article.tags);
+  const authorId = article.authorId.toString();
+  const bestText = textMatches[0]?.score || 1;
+  const scores = new Map();
+
+  for (const candidate of [...similar, ...textMatches]) {
+    const id = candidate._id.toString();
+    if (scores.has(id)) continue;
+    scores.set(id,
+      candidate.tags.filter(tag => tags.has(tag)).length * WEIGHTS.sharedTag +
+      (candidate.category === article.category ? WEIGHTS.sameCategory : 0) +
+      (candidate.authorId.toString() === authorId ? WEIGHTS.sameAuthor : 0)
+    );
+  }
+  for (const match of textMatches) {
+    const id = match._id.toString();
+    scores.set(id, scores.get(id) + (match.score / bestText) * WEIGHTS.text);
+  }
+
+  return [...scores]
+    .map(([id, score]) => ({ id, score: Math.round(score * 100) / 100 }))
+    .sort((a, b) => b.score - a.score || (a.id < b.id ? 1 : -1))
+    .slice(0, MAX_CANDIDATES);
+}
+
+// Ranked candidates for `article` (which needs _id, title, tags, category, authorId)
+export async function relatedCandidates(article) {
+  const key = article._id.toString();
+  const signature = signatureOf(article);
+  const cached = cache.get(key);
+  if (cached && cached.signature === signature && cached.expiresAt > Date.now()) {
+    return cached.candidates;
+  }
+
+  const candidates = await rankCandidates(article);
+
+  // Drop the oldest entry when full (Maps keep insertion order)
+  cache.delete(key);
+  if (cache.size >= MAX_CACHED_ARTICLES) {
+    cache.delete(cache.keys().next().value);
+  }
+  cache.set(key, { signature, expiresAt: Date.now() + cacheTtlMs(), candidates });
+
+  return candidates;
+}
@@ -0,0 +1,75 @@
+import { config } from "dotenv";
+import Article from "../models/articles.js";
+import { cleanStaleUploads } from "./multer.js";
+import { recomputeTrending } from "./trending.js";
+
+config();
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+const UPLOAD_CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+const DEFAULT_TRENDING_INTERVAL_MS = 15 * 60 * 1000;
+
+const jobs = [];
+
+// Register a task to run every `intervalMs` once the scheduler is started
+export function scheduleJob(name, intervalMs, task) {
+  jobs.push({ name, intervalMs, task, timer: null, running: false });
+}
+
+async function runJob(job) {
+  // Skip this tick if the previous run is still going
+  if (job.running) return;
+  job.running = true;
+  try {
+    await job.task();
+  } catch (err) {
+    console.error(`❌ Scheduled job "${job.name}" failed:`, err.message);
+  } finally {
+    job.running = false;
+  }
+}
+
+export function startScheduler() {
+  for (const job of jobs) {
+    if (job.timer) continue;
+    runJob(job);
+    job.timer = setInterval(() => runJob(job), job.intervalMs);
+    job.timer.unref();
+  }
+  console.log(`⏰ Scheduler started (${jobs.length} job${jobs.length === 1 ? "" : "s"})`);
+}
+
+export function stopScheduler() {
+  for (const job of jobs) {
+    clearInterval(job.timer);
+    job.timer = null;
+  }
+}
+
+// ============================================
+// JOBS
+// ============================================
+
+const publishInterval = parseInt(process.env.PUBLISH_SCHEDULER_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+
+scheduleJob("publish-articles", publishInterval, async () => {
+  const published = await Article.publishDue();
+  const unpublished = await Article.unpublishExpired();
+  if (published || unpublished) {
+    console.log(`📰 Scheduler: ${published} published, ${unpublished} unpublished`);
+  }
+});
+
+// Temp uploads are removed by each request; this catches what a crash left
+scheduleJob("clean-uploads", UPLOAD_CLEANUP_INTERVAL_MS, async () => {
+  const removed = await cleanStaleUploads(UPLOAD_CLEANUP_INTERVAL_MS);
+  if (removed) {
+    console.log(`🧹 Scheduler: removed ${removed} stale upload${removed === 1 ? "" : "s"}`);
+  }
+});
+
+const trendingInterval = parseInt(process.env.TRENDING_INTERVAL_MS) || DEFAULT_TRENDING_INTERVAL_MS;
+
+scheduleJob("trending", trendingInterval, async () => {
+  await recomputeTrending();
+});
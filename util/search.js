@@ -0,0 +1,74 @@
+// Helpers for the full-text search endpoint.
+// Queries use MongoDB $text syntax: words, "exact phrases" and -exclusions.
+
+const SNIPPET_LENGTH = 200;
+
+// Split a search string into positive terms, phrases and excluded words
+export function parseSearchQuery(query = "") {
+  const phrases = [];
+  const terms = [];
+  const excluded = [];
+
+  const withoutPhrases = query.replace(/"([^"]+)"/g, (match, phrase) => {
+    if (phrase.trim()) phrases.push(phrase.trim());
+    return " ";
+  });
+
+  for (const word of withoutPhrases.split(/\s+/).filter(Boolean)) {
+    if (word.startsWith("-") && word.length > 1) excluded.push(word.slice(1));
+    else if (!word.startsWith("-")) terms.push(word);
+  }
+
+  return { terms, phrases, excluded };
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Reduce stored markup to plain text before building snippets
+export function toPlainText(text = "") {
+  return text
+    .replace(/<[^>]*>/g, " ")
+    .replace(/[#*_`>~[\]()!]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Cut a window of text around the first match and wrap every match in <mark>.
+// The result is HTML-escaped so it is safe to render.
+export function highlight(text, { terms, phrases }, length = SNIPPET_LENGTH) {
+  const plain = toPlainText(text);
+  const needles = [...phrases, ...terms].filter(Boolean);
+
+  if (needles.length === 0) {
+    return escapeHtml(plain.slice(0, length));
+  }
+
+  const pattern = new RegExp(`(${needles.map(escapeRegex).join("|")})`, "gi");
+  const first = plain.search(pattern);
+
+  let start = 0;
+  if (first > length / 3) {
+    // Start on a word boundary a little before the match
+    start = plain.lastIndexOf(" ", first - Math.floor(length / 3)) + 1;
+  }
+  const end = Math.min(plain.length, start + length);
+
+  let snippet = escapeHtml(plain.slice(start, end)).replace(
+    new RegExp(`(${needles.map(needle => escapeRegex(escapeHtml(needle))).join("|")})`, "gi"),
+    "<mark>$1</mark>"
+  );
+  if (start > 0) snippet = `…${snippet}`;
+  if (end < plain.length) snippet = `${snippet}…`;
+
+  return snippet;
+}
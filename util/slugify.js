@@ -0,0 +1,11 @@
+// Turn free text into a lowercase, URL-safe slug ("Hello, World!" -> "hello-world")
+export function slugify(text = "", maxLength = 80) {
+  return String(text)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "") // strip accents
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, maxLength)
+    .replace(/-+$/g, "");
+}
@@ -0,0 +1,104 @@
+import { config } from "dotenv";
+import Comment from "../models/comment.js";
+
+config();
+
+// A spam checker is an object with an async `check({ text, userId, articleId, commentId })`
+// method resolving to `{ score, reasons }`, where score is between 0 and 1.
+
+const DEFAULT_BANNED_WORDS = ["viagra", "casino", "crypto giveaway", "free money", "click here", "loan offer"];
+
+const settings = {
+  maxLinks: parseInt(process.env.SPAM_MAX_LINKS) || 2,
+  bannedWords: process.env.SPAM_BANNED_WORDS
+    ? process.env.SPAM_BANNED_WORDS.split(",").map(word => word.trim().toLowerCase()).filter(Boolean)
+    : DEFAULT_BANNED_WORDS,
+  duplicateWindowMs: (parseInt(process.env.SPAM_DUPLICATE_WINDOW_HOURS) || 24) * 60 * 60 * 1000,
+  rateWindowMs: 60 * 1000,
+  maxCommentsPerMinute: parseInt(process.env.SPAM_MAX_COMMENTS_PER_MINUTE) || 5,
+  // Scores at or above these send a comment to the queue or straight to spam
+  reviewThreshold: parseFloat(process.env.SPAM_REVIEW_THRESHOLD) || 0.3,
+  spamThreshold: parseFloat(process.env.SPAM_THRESHOLD) || 0.8
+};
+
+// Default checker built on local heuristics only
+export const heuristicChecker = {
+  name: "heuristic",
+
+  async check({ text, userId, commentId }) {
+    const reasons = [];
+    let score = 0;
+    const lower = text.toLowerCase();
+
+    const links = (text.match(/https?:\/\/|www\./gi) || []).length;
+    if (links > settings.maxLinks) {
+      score += 0.4 + 0.1 * (links - settings.maxLinks - 1);
+      reasons.push(`too many links (${links})`);
+    }
+
+    const banned = settings.bannedWords.filter(word => lower.includes(word));
+    if (banned.length > 0) {
+      score += 0.5 * banned.length;
+      reasons.push(`banned words: ${banned.join(", ")}`);
+    }
+
+    // commentId is set when an existing comment is being edited
+    const duplicate = await Comment.exists({
+      _id: { $ne: commentId },
+      userId,
+      text: text.trim(),
+      createdAt: { $gte: new Date(Date.now() - settings.duplicateWindowMs) }
+    });
+    if (duplicate) {
+      score += 0.5;
+      reasons.push("duplicate comment");
+    }
+
+    const recent = await Comment.countDocuments({
+      userId,
+      createdAt: { $gte: new Date(Date.now() - settings.rateWindowMs) }
+    });
+    if (recent >= settings.maxCommentsPerMinute) {
+      score += 0.5;
+      reasons.push(`posting too fast (${recent} comments in the last minute)`);
+    }
+
+    return { score: Math.min(1, score), reasons };
+  }
+};
+
+let activeChecker = heuristicChecker;
+
+// Replace the spam checker (e.g. with an Akismet-backed one)
+export function setSpamChecker(checker) {
+  if (!checker || typeof checker.check !== "function") {
+    throw new Error("A spam checker must provide a check() method");
+  }
+  activeChecker = checker;
+}
+
+// Score a new comment and decide which moderation status it starts in
+export async function classifyComment({ text, userId, articleId, commentId = null, moderated }) {
+  let result;
+  try {
+    result = await activeChecker.check({ text, userId, articleId, commentId });
+  } catch (err) {
+    // A broken checker should not block comments, only force review
+    console.error(`❌ Spam checker "${activeChecker.name || "custom"}" failed:`, err.message);
+    result = { score: settings.reviewThreshold, reasons: ["spam check failed"] };
+  }
+
+  let status = "approved";
+  if (result.score >= settings.spamThreshold) {
+    status = "spam";
+  } else if (moderated || result.score >= settings.reviewThreshold) {
+    status = "pending";
+  }
+
+  return { status, score: result.score, reasons: result.reasons };
+}
+
+// Whether comments need approval site-wide (COMMENT_MODERATION=true)
+export function isSiteModerationEnabled() {
+  return process.env.COMMENT_MODERATION === "true";
+}
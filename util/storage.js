@@ -0,0 +1,214 @@
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { config } from "dotenv";
+import { cloudinary } from "./cloudinary.js";
+
+config();
+
+// Media storage drivers. STORAGE_DRIVER picks where new files go:
+//   cloudinary  Cloudinary (CLOUDINARY_* variables)
+//   local       files under MEDIA_DIR (default: media/), served at /media
+//   s3          any S3-compatible bucket (S3_BUCKET, S3_REGION, S3_ENDPOINT,
+//               S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY, S3_PUBLIC_URL)
+// Without STORAGE_DRIVER, Cloudinary is used when configured, else local disk.
+//
+// A driver provides:
+//   upload(filePath, { folder, originalName, mimeType }) -> { provider, key, url }
+//   delete(key)
+//   url(key)
+// Stored records keep `provider` and `key`, so files stay reachable after
+// the default driver changes.
+
+export const MEDIA_ROUTE = "/media";
+
+function extensionOf(name = "") {
+  const ext = path.extname(name).toLowerCase();
+  return /^\.[a-z0-9]{1,5}$/.test(ext) ? ext : "";
+}
+
+function newKey(folder, originalName) {
+  return `${folder}/${crypto.randomUUID()}${extensionOf(originalName)}`;
+}
+
+function cloudinaryDriver() {
+  return {
+    name: "cloudinary",
+
+    upload(filePath, { folder }) {
+      return new Promise((resolve, reject) => {
+        const uploadStream = cloudinary.uploader.upload_stream(
+          { folder, resource_type: "image" },
+          (error, result) => {
+            if (error) reject(error);
+            else resolve({ provider: "cloudinary", key: result.public_id, url: result.secure_url });
+          }
+        );
+        const source = fs.createReadStream(path.resolve(filePath));
+        source.on("error", reject);
+        source.pipe(uploadStream);
+      });
+    },
+
+    async delete(key) {
+      await cloudinary.uploader.destroy(key);
+    },
+
+    url(key) {
+      return cloudinary.url(key, { secure: true });
+    }
+  };
+}
+
+function localDriver() {
+  const root = path.resolve(process.env.MEDIA_DIR || "media");
+  const publicBase = (process.env.PUBLIC_URL || "").replace(/\/$/, "");
+
+  // Keys never leave the media directory
+  const resolveKey = key => {
+    const target = path.resolve(root, key);
+    if (!target.startsWith(root + path.sep)) {
+      throw new Error("Invalid storage key");
+    }
+    return target;
+  };
+
+  return {
+    name: "local",
+    root,
+
+    async upload(filePath, { folder, originalName }) {
+      const key = newKey(folder, originalName);
+      const target = resolveKey(key);
+      await fsp.mkdir(path.dirname(target), { recursive: true });
+      await fsp.copyFile(filePath, target);
+      return { provider: "local", key, url: this.url(key) };
+    },
+
+    async delete(key) {
+      await fsp.rm(resolveKey(key), { force: true });
+    },
+
+    url(key) {
+      return `${publicBase}${MEDIA_ROUTE}/${key}`;
+    }
+  };
+}
+
+function s3Driver() {
+  const bucket = process.env.S3_BUCKET;
+  const publicBase = (process.env.S3_PUBLIC_URL || "").replace(/\/$/, "");
+  let client = null;
+  let commands = null;
+
+  // The AWS SDK is only loaded when the S3 driver is actually used
+  async function getClient() {
+    if (!client) {
+      commands = await import("@aws-sdk/client-s3");
+      client = new commands.S3Client({
+        region: process.env.S3_REGION || "us-east-1",
+        endpoint: process.env.S3_ENDPOINT || undefined,
+        forcePathStyle: Boolean(process.env.S3_ENDPOINT),
+        credentials: process.env.S3_ACCESS_KEY_ID
+          ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+          : undefined
+      });
+    }
+    return client;
+  }
+
+  return {
+    name: "s3",
+
+    async upload(filePath, { folder, originalName, mimeType }) {
+      if (!bucket) throw new Error("S3_BUCKET is not configured");
+      const s3 = await getClient();
+      const key = newKey(folder, originalName);
+      const { size } = await fsp.stat(filePath);
+      await s3.send(new commands.PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: fs.createReadStream(filePath),
+        ContentLength: size,
+        ContentType: mimeType || "application/octet-stream"
+      }));
+      return { provider: "s3", key, url: this.url(key) };
+    },
+
+    async delete(key) {
+      const s3 = await getClient();
+      await s3.send(new commands.DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    url(key) {
+      if (publicBase) return `${publicBase}/${key}`;
+      if (process.env.S3_ENDPOINT) return `${process.env.S3_ENDPOINT.replace(/\/$/, "")}/${bucket}/${key}`;
+      return `https://${bucket}.s3.${process.env.S3_REGION || "us-east-1"}.amazonaws.com/${key}`;
+    }
+  };
+}
+
+const DRIVERS = {
+  cloudinary: cloudinaryDriver,
+  local: localDriver,
+  s3: s3Driver
+};
+
+const instances = {};
+
+function cloudinaryConfigured() {
+  return Boolean(
+    process.env.CLOUDINARY_CLOUD_NAME &&
+    process.env.CLOUDINARY_API_KEY &&
+    process.env.CLOUDINARY_API_SECRET
+  );
+}
+
+export function defaultDriverName() {
+  if (process.env.STORAGE_DRIVER) return process.env.STORAGE_DRIVER;
+  return cloudinaryConfigured() ? "cloudinary" : "local";
+}
+
+// Get a driver by name, or the configured default
+export function getStorage(name = defaultDriverName()) {
+  if (!DRIVERS[name]) {
+    throw new Error(`Unknown storage driver "${name}", expected one of: ${Object.keys(DRIVERS).join(", ")}`);
+  }
+  if (!instances[name]) {
+    instances[name] = DRIVERS[name]();
+  }
+  return instances[name];
+}
+
+// Upload a file with the default driver. When the driver was picked
+// automatically and Cloudinary is unreachable, fall back to local disk.
+export async function storeFile(filePath, options) {
+  const driver = getStorage();
+  try {
+    return await driver.upload(filePath, options);
+  } catch (err) {
+    if (process.env.STORAGE_DRIVER || driver.name === "local") throw err;
+    console.warn(`⚠️ ${driver.name} upload failed (${err.message}), storing on local disk instead`);
+    return getStorage("local").upload(filePath, options);
+  }
+}
+
+// Delete a stored file through the driver that stored it. Failures are
+// logged only: a leftover file should never block deleting a record.
+export async function removeStoredFile(file) {
+  if (!file?.key) return;
+  try {
+    await getStorage(file.provider || "cloudinary").delete(file.key);
+  } catch (err) {
+    console.error(`❌ Could not delete stored file ${file.key}:`, err.message);
+  }
+}
+
+// Remove a temporary upload (multer writes files to uploads/tmp/)
+export function removeTempFile(file) {
+  if (!file?.path) return;
+  fs.unlink(file.path, (err) => {
+    if (err && err.code !== "ENOENT") console.error('Failed to delete local file:', err);
+  });
+}
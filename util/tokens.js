@@ -0,0 +1,166 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import RefreshToken from "../models/refreshToken.js";
+import User from "../models/user.js";
+import { getRateLimitStore } from "./rateLimitStore.js";
+
+const DEFAULT_ACCESS_TOKEN_TTL = "15m";
+const DEFAULT_REFRESH_TOKEN_DAYS = 30;
+const STREAM_TICKET_TTL_MS = 60 * 1000;
+
+export class TokenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TokenError";
+    this.status = 401;
+  }
+}
+
+export function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+// Short-lived JWT. `sid` ties it to a refresh token family and `tv` to the
+// user's token version, so both logout and "log out everywhere" revoke it.
+export function signAccessToken(user, family) {
+  return jwt.sign(
+    { id: user._id, sid: family, tv: user.tokenVersion || 0 },
+    process.env.SECRET_KEY,
+    { expiresIn: process.env.ACCESS_TOKEN_TTL || DEFAULT_ACCESS_TOKEN_TTL }
+  );
+}
+
+async function createRefreshToken(user, family, req) {
+  const token = crypto.randomBytes(48).toString("base64url");
+  const days = parseInt(process.env.REFRESH_TOKEN_DAYS) || DEFAULT_REFRESH_TOKEN_DAYS;
+
+  const record = await RefreshToken.create({
+    userId: user._id,
+    family,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+    userAgent: req?.get?.("user-agent"),
+    ip: req?.ip
+  });
+
+  return { token, record };
+}
+
+function tokenResponse(user, family, refreshToken) {
+  const accessToken = signAccessToken(user, family);
+  return {
+    token: accessToken,
+    refreshToken,
+    expiresIn: jwt.decode(accessToken).exp - Math.floor(Date.now() / 1000)
+  };
+}
+
+// Start a new session (login/register)
+export async function issueTokens(user, req) {
+  const family = crypto.randomUUID();
+  const { token } = await createRefreshToken(user, family, req);
+  return tokenResponse(user, family, token);
+}
+
+// Exchange a refresh token for a new pair. A token that was already used
+// means it leaked, so the whole family is revoked.
+export async function rotateRefreshToken(refreshToken, req) {
+  const record = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+  if (!record) {
+    throw new TokenError("Invalid refresh token");
+  }
+
+  if (record.revokedAt) {
+    if (record.revokedReason === "rotated") {
+      await revokeFamily(record.family, "reuse-detected");
+      throw new TokenError("Refresh token reuse detected, session revoked");
+    }
+    throw new TokenError("Refresh token has been revoked");
+  }
+
+  if (record.expiresAt <= new Date()) {
+    throw new TokenError("Refresh token has expired");
+  }
+
+  const user = await User.findById(record.userId);
+  if (!user) {
+    throw new TokenError("User not found");
+  }
+
+  const restriction = user.accountRestriction();
+  if (restriction) {
+    throw new TokenError(restriction.message);
+  }
+
+  const { token, record: next } = await createRefreshToken(user, record.family, req);
+
+  // Only one request may rotate a given token
+  const rotated = await RefreshToken.findOneAndUpdate(
+    { _id: record._id, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: "rotated", replacedBy: next._id }
+  );
+  if (!rotated) {
+    await next.deleteOne();
+    await revokeFamily(record.family, "reuse-detected");
+    throw new TokenError("Refresh token reuse detected, session revoked");
+  }
+
+  return { user, ...tokenResponse(user, record.family, token) };
+}
+
+export function revokeFamily(family, reason = "logout") {
+  return RefreshToken.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+}
+
+// Revoke every session of a user, including access tokens already handed out
+export async function revokeAllSessions(user, reason = "logout-all") {
+  await RefreshToken.updateMany(
+    { userId: user._id, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  user.tokenVersion = (user.tokenVersion || 0) + 1;
+  await user.save();
+}
+
+export async function findFamilyByToken(refreshToken) {
+  const record = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) }).select("family userId");
+  return record;
+}
+
+// Whether a session (refresh token family) can still be used
+export async function isSessionActive(family) {
+  return Boolean(await RefreshToken.exists({ family, revokedAt: null, expiresAt: { $gt: new Date() } }));
+}
+
+// EventSource cannot send headers, so a stream is opened with a ticket in the
+// URL instead of the access token: random, valid for a minute and single use.
+// It carries the session of the access token it was issued for.
+export async function issueStreamTicket(user, req) {
+  const ticket = crypto.randomBytes(32).toString("base64url");
+  await getRateLimitStore().set(`stream-ticket:${hashToken(ticket)}`, {
+    userId: user._id.toString(),
+    sid: req.sessionId,
+    tv: user.tokenVersion || 0,
+    exp: req.tokenExpiresAt ? req.tokenExpiresAt.getTime() : null
+  }, STREAM_TICKET_TTL_MS);
+  return { ticket, expiresIn: STREAM_TICKET_TTL_MS / 1000 };
+}
+
+// The data of a stream ticket, or null when it is unknown, expired or used
+export async function redeemStreamTicket(ticket) {
+  const store = getRateLimitStore();
+  const key = `stream-ticket:${hashToken(ticket)}`;
+
+  const entry = await store.get(key);
+  if (!entry?.data) return null;
+
+  // Only the first request to count the ticket may use it
+  const { count } = await store.increment(key, STREAM_TICKET_TTL_MS);
+  if (count !== 1) return null;
+
+  await store.reset(key);
+  return entry.data;
+}
@@ -0,0 +1,114 @@
+import Article from "../models/articles.js";
+import ArticleStat from "../models/articleStat.js";
+
+// Trending scores: recent views, likes and comments from the daily analytics
+// buckets, each day weighted down by its age. Scores are stored on the
+// articles by a scheduled job so listings can sort on an index.
+//
+// TRENDING_DECAY              "exponential" (default), "gravity" or "none"
+// TRENDING_HALF_LIFE_HOURS    exponential: activity loses half its weight per half-life (default 24)
+// TRENDING_GRAVITY            gravity: weight is 1 / (ageHours + 2) ^ gravity (default 1.8)
+// TRENDING_VIEW_WEIGHT, TRENDING_LIKE_WEIGHT, TRENDING_COMMENT_WEIGHT (defaults 1, 5, 10)
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Window name -> number of daily buckets it covers. Buckets are whole days,
+// so "24h" means today and yesterday, yesterday weighted down by decay.
+export const TRENDING_WINDOWS = { "24h": 2, "7d": 7, "30d": 30 };
+export const DEFAULT_TRENDING_WINDOW = "24h";
+
+export const DECAY_FUNCTIONS = {
+  exponential: (ageHours, { halfLifeHours }) => 0.5 ** (ageHours / halfLifeHours),
+  gravity: (ageHours, { gravity }) => 1 / (ageHours + 2) ** gravity,
+  none: () => 1
+};
+
+export function trendingSettings() {
+  const decay = DECAY_FUNCTIONS[process.env.TRENDING_DECAY] ? process.env.TRENDING_DECAY : "exponential";
+  return {
+    decay,
+    halfLifeHours: parseFloat(process.env.TRENDING_HALF_LIFE_HOURS) || 24,
+    gravity: parseFloat(process.env.TRENDING_GRAVITY) || 1.8,
+    weights: {
+      views: parseFloat(process.env.TRENDING_VIEW_WEIGHT) || 1,
+      likes: parseFloat(process.env.TRENDING_LIKE_WEIGHT) || 5,
+      comments: parseFloat(process.env.TRENDING_COMMENT_WEIGHT) || 10
+    }
+  };
+}
+
+// Sort mode for ?sort=trending&window=, or null for an unknown window
+export function trendingSortKey(window = DEFAULT_TRENDING_WINDOW) {
+  return TRENDING_WINDOWS[window] ? `trending-${window}` : null;
+}
+
+// Score of one daily bucket. A day's activity is taken to happen at noon.
+export function bucketScore(stat, now = new Date(), settings = trendingSettings()) {
+  const { views = 0, likes = 0, comments = 0 } = stat;
+  const { weights } = settings;
+  const raw = views * weights.views + likes * weights.likes + comments * weights.comments;
+  const ageHours = Math.max(0, (now.getTime() - (stat.day.getTime() + DAY_MS / 2)) / HOUR_MS);
+  return raw * DECAY_FUNCTIONS[settings.decay](ageHours, settings);
+}
+
+// Recompute every article's scores. Articles with no activity in the
+// longest window are reset to zero. Returns the number of scored articles.
+export async function recomputeTrending(now = new Date()) {
+  const settings = trendingSettings();
+  const today = Math.floor(now.getTime() / DAY_MS) * DAY_MS;
+  const oldestDay = today - (Math.max(...Object.values(TRENDING_WINDOWS)) - 1) * DAY_MS;
+
+  const scores = new Map();
+  const stats = ArticleStat.find({ day: { $gte: new Date(oldestDay) } })
+    .select("articleId day views likes comments")
+    .lean()
+    .cursor();
+
+  for await (const stat of stats) {
+    const key = stat.articleId.toString();
+    if (!scores.has(key)) {
+      scores.set(key, Object.fromEntries(Object.keys(TRENDING_WINDOWS).map(window => [window, 0])));
+    }
+    const score = bucketScore(stat, now, settings);
+    const ageDays = (today - stat.day.getTime()) / DAY_MS;
+    for (const [window, days] of Object.entries(TRENDING_WINDOWS)) {
+      if (ageDays < days) scores.get(key)[window] += score;
+    }
+  }
+
+  const computedAt = new Date();
+  const updates = [...scores].map(([id, windows]) => ({
+    updateOne: {
+      filter: { _id: id },
+      update: {
+        $set: Object.fromEntries([
+          ...Object.entries(windows).map(([window, score]) => [`trending.${window}`, Math.round(score * 1000) / 1000]),
+          ["trending.computedAt", computedAt]
+        ])
+      },
+      // Scores are derived data; they don't count as an edit
+      timestamps: false
+    }
+  }));
+  if (updates.length > 0) {
+    await Article.bulkWrite(updates, { ordered: false });
+  }
+
+  await Article.updateMany(
+    {
+      _id: { $nin: [...scores.keys()] },
+      // $ne also matches articles that have no score yet
+      $or: Object.keys(TRENDING_WINDOWS).map(window => ({ [`trending.${window}`]: { $ne: 0 } }))
+    },
+    {
+      $set: {
+        ...Object.fromEntries(Object.keys(TRENDING_WINDOWS).map(window => [`trending.${window}`, 0])),
+        "trending.computedAt": computedAt
+      }
+    },
+    { timestamps: false }
+  );
+
+  return scores.size;
+}